@@ -1,6 +1,12 @@
 // Configuration template - copy to config.js and add your API key
+// Local development only: with a key here the app calls OpenAI directly.
+// In production requests go through netlify/functions/openai-proxy.mjs instead.
 // This file is safe to commit to git
 
 window.CONFIG = {
-    OPENAI_API_KEY: 'your-openai-api-key-here'
+    OPENAI_API_KEY: 'your-openai-api-key-here',
+
+    // Offline mock AI: true, or a scenario name such as 'truncated' or 'rate-limit'
+    // (see MOCK_SCENARIOS in script.js). ?mock=<scenario> in the URL does the same.
+    MOCK_AI: false
 };
\ No newline at end of file
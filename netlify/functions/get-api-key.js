@@ -1,13 +0,0 @@
-exports.handler = async (event, context) => {
-  return {
-    statusCode: 200,
-    headers: {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
-    },
-    body: JSON.stringify({
-      apiKey: process.env.OPENAI_API_KEY || ''
-    })
-  };
-};
\ No newline at end of file
@@ -0,0 +1,278 @@
+// Server-side proxy for the OpenAI Responses API.
+// The browser posts the same request bodies that generateBio, generateImage and
+// refineImage build; we check them against what the app actually uses and
+// forward them with the key from the environment. The key never leaves the server.
+// Written as a v2 (Request/Response) function so streamed bio generations can be
+// piped straight through to the browser. Background generations can also be
+// retrieved or cancelled by id once the original stream is gone.
+
+const OPENAI_RESPONSES_URL = 'https://api.openai.com/v1/responses';
+
+// Keep these in sync with the requests built in script.js (OPENAI_MODELS and
+// REASONING_EFFORTS back the model and effort choices in the AI settings panel)
+const ALLOWED_MODELS = ['gpt-5', 'gpt-5-nano'];
+const ALLOWED_REASONING_EFFORTS = ['minimal', 'low', 'medium', 'high'];
+const ALLOWED_TOOL_TYPES = ['file_search', 'image_generation'];
+const ALLOWED_VECTOR_STORE_IDS = ['vs_68f837113fb481918c561f76853b87be'];
+const ALLOWED_FILE_IDS = ['file-3VQDhPG6m61qHiGuwfFZ2x'];
+const ALLOWED_REQUEST_KEYS = ['model', 'input', 'instructions', 'tools', 'reasoning', 'text', 'stream', 'background'];
+const ALLOWED_TEXT_FORMATS = ['text', 'json_schema'];
+const ALLOWED_TEXT_KEYS = ['format'];
+const ALLOWED_TEXT_FORMAT_KEYS = ['type', 'name', 'strict', 'schema'];
+const ALLOWED_REASONING_KEYS = ['effort'];
+// Exactly the tool options generateBio, generateImage and refineImage send - anything else
+// (model, quality, n, partial_images...) could run up the cost of a request on our key
+const ALLOWED_TOOL_KEYS = {
+  file_search: ['type', 'vector_store_ids', 'max_num_results'],
+  image_generation: ['type', 'size', 'input_image_mask']
+};
+// Keep in sync with PORTRAIT_ASPECTS in script.js
+const ALLOWED_IMAGE_SIZES = ['1024x1024', '1024x1536', '1536x1024', 'auto'];
+const MAX_FILE_SEARCH_RESULTS = 20;
+const RESPONSE_ID_PATTERN = /^resp_[A-Za-z0-9_-]+$/;
+
+// Refinements send the current portrait, its mask and a reference photo inline as
+// base64, so allow up to Netlify's own 6MB request limit
+const MAX_BODY_BYTES = 6 * 1024 * 1024;
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// The first key of `object` that isn't in `allowed`, if any
+function findUnknownKey(object, allowed) {
+  return Object.keys(object).find(key => !allowed.includes(key));
+}
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Returns an error message, or null if the tools are allowed
+function validateTools(tools) {
+  if (tools === undefined) return null;
+  if (!Array.isArray(tools)) return 'tools must be an array';
+
+  for (const tool of tools) {
+    if (!isPlainObject(tool) || !ALLOWED_TOOL_TYPES.includes(tool.type)) {
+      return `Tool not allowed: ${tool && tool.type}`;
+    }
+
+    const unknownKey = findUnknownKey(tool, ALLOWED_TOOL_KEYS[tool.type]);
+    if (unknownKey) return `Tool option not allowed: ${tool.type}.${unknownKey}`;
+
+    if (tool.type === 'file_search') {
+      const storeIds = tool.vector_store_ids;
+      if (!Array.isArray(storeIds) || !storeIds.length) {
+        return 'file_search needs a non-empty vector_store_ids array';
+      }
+      if (!storeIds.every(id => ALLOWED_VECTOR_STORE_IDS.includes(id))) {
+        return 'Vector store not allowed';
+      }
+      if (tool.max_num_results > MAX_FILE_SEARCH_RESULTS) {
+        return `max_num_results cannot exceed ${MAX_FILE_SEARCH_RESULTS}`;
+      }
+    }
+
+    if (tool.type === 'image_generation' && tool.size !== undefined && !ALLOWED_IMAGE_SIZES.includes(tool.size)) {
+      return `Image size not allowed: ${tool.size}`;
+    }
+
+    // Edit masks follow the same inline-only rule as input images
+    if (tool.type === 'image_generation' && tool.input_image_mask !== undefined) {
+      const mask = tool.input_image_mask;
+      const keys = mask && typeof mask === 'object' ? Object.keys(mask) : [];
+      if (keys.length !== 1 || typeof mask.image_url !== 'string' || !mask.image_url.startsWith('data:image/')) {
+        return 'Image masks must be sent as data URLs';
+      }
+    }
+  }
+
+  return null;
+}
+
+// Returns an error message, or null if every input part is allowed
+function validateInput(input) {
+  if (typeof input === 'string') return null;
+  if (!Array.isArray(input)) return 'input must be a string or an array of messages';
+
+  for (const message of input) {
+    if (!isPlainObject(message)) return 'Invalid message';
+    if (message.role !== 'user') return 'Only user messages are allowed';
+    if (typeof message.content === 'string') continue;
+    if (!Array.isArray(message.content)) return 'Message content must be a string or an array';
+
+    for (const part of message.content) {
+      if (!isPlainObject(part)) return 'Invalid content part';
+      if (part.type === 'input_text') continue;
+      if (part.type === 'input_file') {
+        if (!ALLOWED_FILE_IDS.includes(part.file_id)) return 'File not allowed';
+        continue;
+      }
+      if (part.type === 'input_image') {
+        // Only inline images - we don't want to fetch arbitrary URLs on our key
+        if (typeof part.image_url !== 'string' || !part.image_url.startsWith('data:image/')) {
+          return 'Images must be sent as data URLs';
+        }
+        continue;
+      }
+      return `Input type not allowed: ${part.type}`;
+    }
+  }
+
+  return null;
+}
+
+function validateRequest(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return 'Request body must be a JSON object';
+  }
+
+  const unknownKey = Object.keys(payload).find(key => !ALLOWED_REQUEST_KEYS.includes(key));
+  if (unknownKey) return `Parameter not allowed: ${unknownKey}`;
+
+  if (!ALLOWED_MODELS.includes(payload.model)) return `Model not allowed: ${payload.model}`;
+  if (payload.instructions !== undefined && typeof payload.instructions !== 'string') {
+    return 'instructions must be a string';
+  }
+
+  if (payload.reasoning !== undefined) {
+    if (!isPlainObject(payload.reasoning)) return 'reasoning must be an object';
+    const unknownKey = findUnknownKey(payload.reasoning, ALLOWED_REASONING_KEYS);
+    if (unknownKey) return `Parameter not allowed: reasoning.${unknownKey}`;
+    const { effort } = payload.reasoning;
+    if (effort !== undefined && !ALLOWED_REASONING_EFFORTS.includes(effort)) {
+      return `Reasoning effort not allowed: ${effort}`;
+    }
+  }
+
+  if (payload.stream !== undefined && typeof payload.stream !== 'boolean') {
+    return 'stream must be true or false';
+  }
+
+  if (payload.background !== undefined && typeof payload.background !== 'boolean') {
+    return 'background must be true or false';
+  }
+
+  if (payload.text !== undefined) {
+    if (!isPlainObject(payload.text)) return 'text must be an object';
+    const unknownKey = findUnknownKey(payload.text, ALLOWED_TEXT_KEYS);
+    if (unknownKey) return `Parameter not allowed: text.${unknownKey}`;
+
+    const { format } = payload.text;
+    if (format !== undefined) {
+      if (!isPlainObject(format)) return 'text.format must be an object';
+      const unknownFormatKey = findUnknownKey(format, ALLOWED_TEXT_FORMAT_KEYS);
+      if (unknownFormatKey) return `Parameter not allowed: text.format.${unknownFormatKey}`;
+      if (!ALLOWED_TEXT_FORMATS.includes(format.type)) {
+        return `Text format not allowed: ${format.type}`;
+      }
+    }
+  }
+
+  return validateInput(payload.input) || validateTools(payload.tools);
+}
+
+// Send a request to OpenAI with the server key and relay the answer
+async function forwardToOpenAI(url, init, apiKey) {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...init,
+      headers: {
+        ...init.headers,
+        'Authorization': `Bearer ${apiKey}`
+      }
+    });
+  } catch (error) {
+    console.error('OpenAI request failed:', error);
+    return jsonResponse(502, { error: { message: 'Could not reach OpenAI' } });
+  }
+
+  // OpenAI echoes part of a bad key back in 401 bodies - don't pass that on
+  if (response.status === 401) {
+    console.error('OpenAI rejected the proxy key:', await response.text());
+    return jsonResponse(502, { error: { message: 'AI proxy authentication failed' } });
+  }
+
+  const headers = {
+    'Content-Type': response.headers.get('content-type') || 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+  // The browser's retry layer needs the request id and OpenAI's rate-limit back-off hints
+  for (const name of ['x-request-id', 'retry-after', 'retry-after-ms']) {
+    const value = response.headers.get(name);
+    if (value) headers[name] = value;
+  }
+
+  // Pass the body through untouched - for streamed requests this is the SSE stream
+  return new Response(response.body, { status: response.status, headers });
+}
+
+// Background bio generations are collected (GET ?response_id=) or
+// cancelled (POST ?response_id=&action=cancel) after the original stream is gone
+function handleStoredResponse(request, url, apiKey) {
+  const responseId = url.searchParams.get('response_id');
+  if (!RESPONSE_ID_PATTERN.test(responseId)) {
+    return jsonResponse(400, { error: { message: 'Invalid response id' } });
+  }
+
+  const responseUrl = `${OPENAI_RESPONSES_URL}/${responseId}`;
+  if (request.method === 'GET') {
+    return forwardToOpenAI(responseUrl, { method: 'GET' }, apiKey);
+  }
+  if (request.method === 'POST' && url.searchParams.get('action') === 'cancel') {
+    return forwardToOpenAI(`${responseUrl}/cancel`, { method: 'POST' }, apiKey);
+  }
+  return jsonResponse(405, { error: { message: 'Method not allowed' } });
+}
+
+export default async (request) => {
+  const url = new URL(request.url);
+  const isStoredResponseRequest = url.searchParams.has('response_id');
+
+  if (request.method !== 'POST' && !isStoredResponseRequest) {
+    return jsonResponse(405, { error: { message: 'Method not allowed' } });
+  }
+
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    console.error('OPENAI_API_KEY is not set');
+    return jsonResponse(500, { error: { message: 'AI proxy is not configured' } });
+  }
+
+  if (isStoredResponseRequest) {
+    return handleStoredResponse(request, url, apiKey);
+  }
+
+  const declaredLength = Number(request.headers.get('content-length') || 0);
+  if (declaredLength > MAX_BODY_BYTES) {
+    return jsonResponse(413, { error: { message: 'Request too large' } });
+  }
+
+  const rawBody = await request.text();
+  if (Buffer.byteLength(rawBody, 'utf8') > MAX_BODY_BYTES) {
+    return jsonResponse(413, { error: { message: 'Request too large' } });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (error) {
+    return jsonResponse(400, { error: { message: 'Request body is not valid JSON' } });
+  }
+
+  const validationError = validateRequest(payload);
+  if (validationError) {
+    return jsonResponse(400, { error: { message: validationError } });
+  }
+
+  return forwardToOpenAI(OPENAI_RESPONSES_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  }, apiKey);
+};
@@ -1,1387 +1,4307 @@
-// Configuration - Get API key from Netlify function or local config
-let OPENAI_API_KEY = '';
+// Configuration - requests go through our Netlify proxy so the API key never reaches the browser.
+// For local development without Netlify functions, config.js can still supply a key to call OpenAI directly.
+const OPENAI_PROXY_URL = '/.netlify/functions/openai-proxy';
 
-// Initialize API key
-async function initializeAPIKey() {
-    // Try local config first (for development)
+function getLocalAPIKey() {
     if (typeof window !== 'undefined' && window.CONFIG && window.CONFIG.OPENAI_API_KEY) {
-        OPENAI_API_KEY = window.CONFIG.OPENAI_API_KEY;
-        return;
-    }
-
-    // Try Netlify function (for production)
-    try {
-        const response = await fetch('/.netlify/functions/get-api-key');
-        const data = await response.json();
-        OPENAI_API_KEY = data.apiKey || '';
-    } catch (error) {
-        console.error('Failed to get API key:', error);
-        OPENAI_API_KEY = '';
+        return window.CONFIG.OPENAI_API_KEY;
     }
+    return '';
 }
 
 // API URLs - Using current Responses API
 const OPENAI_RESPONSES_URL = 'https://api.openai.com/v1/responses';
 const OPENAI_FILES_URL = 'https://api.openai.com/v1/files';
 
-// Bio field mappings
-const BIO_FIELDS = [
-    'appearance', 'background', 'personality', 'affiliations',
-    'catchphrase', 'languageQuirks', 'superstitions', 'diet',
-    'secrets', 'characterFlaws', 'whatExcites', 'dynamicGoals',
-    'mostWant', 'wontDo'
-];
+// Send a Responses API request through the proxy, or straight to OpenAI with a local dev key
+function postResponsesRequest(body, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    let url = OPENAI_PROXY_URL;
 
-// History tracking for bio fields
-const fieldHistory = {};
+    const localKey = getLocalAPIKey();
+    if (localKey) {
+        url = OPENAI_RESPONSES_URL;
+        headers['Authorization'] = `Bearer ${localKey}`;
+    }
 
-// Initialize history for each bio field
-BIO_FIELDS.forEach(field => {
-    fieldHistory[field] = [];
-});
+    return fetch(url, {
+        method: 'POST',
+        headers,
+        signal,
+        body: JSON.stringify(body)
+    });
+}
 
-// Robust JSON parsing function for AI responses
-function parseAIResponse(outputText) {
-    if (!outputText || typeof outputText !== 'string') {
-        throw new Error('Invalid output text');
+// Fetch a stored response by id (used to collect background generations)
+function getStoredResponse(responseId, signal) {
+    const localKey = getLocalAPIKey();
+    if (localKey) {
+        return fetch(`${OPENAI_RESPONSES_URL}/${encodeURIComponent(responseId)}`, {
+            headers: { 'Authorization': `Bearer ${localKey}` },
+            signal
+        });
+    }
+    return fetch(`${OPENAI_PROXY_URL}?response_id=${encodeURIComponent(responseId)}`, { signal });
+}
+
+function cancelStoredResponse(responseId) {
+    const localKey = getLocalAPIKey();
+    if (localKey) {
+        return fetch(`${OPENAI_RESPONSES_URL}/${encodeURIComponent(responseId)}/cancel`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${localKey}` }
+        });
     }
+    return fetch(`${OPENAI_PROXY_URL}?response_id=${encodeURIComponent(responseId)}&action=cancel`, { method: 'POST' });
+}
 
-    // Clean up the text
-    let cleanText = outputText.trim();
+// Request layer - AI calls go through requestWithRetry, which sorts failures into kinds,
+// retries the transient ones with jittered exponential backoff and honours Retry-After.
+const AI_ERROR_KINDS = {
+    rateLimit: { retry: true, message: 'The AI service is rate limiting us - too many requests right now.' },
+    server: { retry: true, message: 'The AI service had a server error.' },
+    timeout: { retry: true, message: 'The AI service took too long to respond.' },
+    network: { retry: true, message: 'Could not reach the AI service. Check your internet connection.' },
+    auth: { retry: false, message: 'The AI service rejected our credentials. Check the API key or proxy configuration.' },
+    badRequest: { retry: false, message: 'The AI service rejected the request.' }
+};
+
+const MAX_REQUEST_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// A Retry-After longer than this isn't worth waiting on with the page open
+const MAX_RETRY_AFTER_MS = 60000;
+
+// How long to wait for response headers (streamed bios send them straight away)
+const BIO_REQUEST_TIMEOUT_MS = 60000;
+const IMAGE_REQUEST_TIMEOUT_MS = 180000;
+
+function abortError() {
+    return new DOMException('The operation was aborted.', 'AbortError');
+}
 
-    // Remove markdown code blocks if present
-    cleanText = cleanText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-    cleanText = cleanText.replace(/^```\s*/, '').replace(/\s*```$/, '');
+// Resolve after ms, or reject with an AbortError as soon as signal aborts
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(abortError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
 
-    // Try multiple parsing strategies
-    const strategies = [
-        // Strategy 1: Direct JSON.parse
-        () => JSON.parse(cleanText),
+// An Error carrying what we know about a failed AI request.
+// details: { status, requestId, body, retryAfterMs, retryable, serverMessage }
+function createAIError(kind, details = {}) {
+    const message = details.serverMessage
+        ? `${AI_ERROR_KINDS[kind].message} (${details.serverMessage})`
+        : AI_ERROR_KINDS[kind].message;
+    const error = new Error(message);
+    error.name = 'AIRequestError';
+    error.kind = kind;
+    return Object.assign(error, details);
+}
 
-        // Strategy 2: Fix common escape issues
-        () => {
-            let fixed = cleanText
-                .replace(/\\"/g, '\u0022')  // Replace \" with unicode quote
-                .replace(/\\n/g, '\\n')     // Keep newlines escaped
-                .replace(/\\t/g, '\\t');    // Keep tabs escaped
-            return JSON.parse(fixed);
-        },
+// Retry-After is either whole seconds or an HTTP date
+function parseRetryAfter(headers) {
+    const retryAfterMs = Number(headers.get('retry-after-ms'));
+    if (retryAfterMs > 0) return retryAfterMs;
+
+    const retryAfter = headers.get('retry-after');
+    if (!retryAfter) return null;
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
-        // Strategy 3: Replace problematic quotes in dialogue
-        () => {
-            let fixed = cleanText.replace(
-                /"([^"]*\\[^"]*[^"]*?)"/g,
-                (match, content) => {
-                    // Replace internal quotes with single quotes
-                    return '"' + content.replace(/\\"/g, "'").replace(/"/g, "'") + '"';
-                }
-            );
-            return JSON.parse(fixed);
-        },
+function classifyStatus(status, serverMessage) {
+    if (status === 429) return 'rateLimit';
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 408 || status === 504) return 'timeout';
+    // Our proxy reports a bad server-side key as a 502
+    if (status === 502 && /authentication failed/i.test(serverMessage)) return 'auth';
+    if (status >= 500) return 'server';
+    return 'badRequest';
+}
 
-        // Strategy 4: Manual quote fixing for catchphrases and dialogue
-        () => {
-            let fixed = cleanText.replace(
-                /"catchphrase":\s*"([^"]*?)\\+"([^"]*?)"/g,
-                '"catchphrase": "$1\'$2"'
-            );
-            return JSON.parse(fixed);
-        }
-    ];
+async function errorFromResponse(response) {
+    const body = await response.text().catch(() => '');
+    let serverMessage = '';
+    let code = '';
+    try {
+        const parsed = JSON.parse(body);
+        serverMessage = (parsed.error && parsed.error.message) || '';
+        code = (parsed.error && parsed.error.code) || '';
+    } catch (error) {
+        serverMessage = body.slice(0, 200);
+    }
+
+    const kind = classifyStatus(response.status, serverMessage);
+    const retryAfterMs = parseRetryAfter(response.headers);
+    return createAIError(kind, {
+        status: response.status,
+        requestId: response.headers.get('x-request-id'),
+        body,
+        serverMessage,
+        retryAfterMs,
+        // An empty account won't refill by waiting, and neither will a very long Retry-After
+        retryable: code !== 'insufficient_quota' && !(retryAfterMs > MAX_RETRY_AFTER_MS)
+    });
+}
+
+// Errors thrown by fetch itself; anything else isn't a request failure and is passed on as-is
+function errorFromException(error, timedOut) {
+    if (error.kind) return error;
+    if (timedOut) return createAIError('timeout', { cause: error });
+    if (error.name === 'TypeError' || error.name === 'AbortError') {
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        return createAIError('network', { serverMessage: offline ? 'you appear to be offline' : '', cause: error });
+    }
+    return error;
+}
+
+// Backoff before retry number `attempt`: exponential, capped, with jitter so retries spread out
+function backoffDelay(attempt) {
+    const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
 
-    // Try each strategy
-    for (let i = 0; i < strategies.length; i++) {
+// Run makeRequest(signal) until it returns an ok Response, retrying transient failures.
+// The caller's signal cancels everything, including the body of the returned response;
+// the timeout only covers waiting for the response headers.
+// onRetry({ attempt, maxAttempts, error, waitMs }) is called before each wait.
+async function requestWithRetry(makeRequest, {
+    signal,
+    timeoutMs = BIO_REQUEST_TIMEOUT_MS,
+    maxAttempts = MAX_REQUEST_ATTEMPTS,
+    onRetry = () => {}
+} = {}) {
+    for (let attempt = 1; ; attempt++) {
+        const controller = new AbortController();
+        const forwardAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', forwardAbort, { once: true });
+        }
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+
+        let error;
+        let accepted = false;
         try {
-            const result = strategies[i]();
-            console.log('JSON parsing succeeded with strategy ' + (i + 1));
-            return result;
-        } catch (error) {
-            console.log('Strategy ' + (i + 1) + ' failed:', error.message);
-            if (i === strategies.length - 1) {
-                // Last strategy failed, log the problematic text
-                console.error('All parsing strategies failed. Raw text:', cleanText);
-                throw new Error(`JSON parsing failed after ${strategies.length} attempts: ${error.message}`);
-            }
+            const response = await makeRequest(controller.signal);
+            accepted = response.ok;
+            if (accepted) return response;
+            error = await errorFromResponse(response);
+        } catch (caught) {
+            if (signal && signal.aborted) throw caught;
+            error = errorFromException(caught, timedOut);
+        } finally {
+            clearTimeout(timer);
+            // The accepted response's body is still being read, so cancelling must keep reaching it
+            if (signal && !accepted) signal.removeEventListener('abort', forwardAbort);
+        }
+
+        const kind = AI_ERROR_KINDS[error.kind];
+        if (!kind || !kind.retry || error.retryable === false || attempt >= maxAttempts) {
+            error.attempts = attempt;
+            throw error;
         }
+
+        const waitMs = error.retryAfterMs !== null && error.retryAfterMs !== undefined
+            ? error.retryAfterMs
+            : backoffDelay(attempt);
+        console.warn(`❌ Attempt ${attempt} failed (${error.kind}): ${error.message} - retrying in ${waitMs}ms`);
+        onRetry({ attempt, maxAttempts, error, waitMs });
+        await delay(waitMs, signal);
     }
 }
 
-// DOM elements
-const generateBioBtn = document.getElementById('generateBio');
-const generateImageBtn = document.getElementById('generateImage');
-const downloadBioBtn = document.getElementById('downloadBio');
-const imageContainer = document.getElementById('imageContainer');
-const characterImage = document.getElementById('characterImage');
-const helpButton = document.getElementById('helpButton');
-const helpModal = document.getElementById('helpModal');
-const closeModal = document.getElementById('closeModal');
-const refineImageBtn = document.getElementById('refineImage');
-const imageInstructions = document.getElementById('imageInstructions');
-const referenceImage = document.getElementById('referenceImage');
+// AI providers - each one turns our requests into its own wire format and hands results
+// back in Responses API shape, so the generation code doesn't care which backend answered.
+// Every provider implements:
+//   requestBio({ instructions, input, schema }, settings, signal) -> Promise<Response> (streamed)
+//   readBioStream(response, onEvent) - calls onEvent with Responses API stream events
+//   requestImage({ prompt, size, baseImage, mask, referenceImages }, settings, signal) -> Promise<Response>
+//     size is one of the PORTRAIT_ASPECTS sizes, or absent to let the model decide;
+//     baseImage is the portrait being edited (absent for a fresh portrait); mask is a PNG the
+//     same size whose transparent pixels mark the only area the edit may change
+//   readImage(data) -> base64 PNG, or null if the response holds no image
+// Providers with supportsBackground also run bios as background responses and implement:
+//   retrieveResponse(id, settings, signal) -> Promise<Response> (the response object as JSON)
+//   cancelResponse(id, settings) -> Promise<Response>
+const AI_PROVIDERS = {
+    'openai-responses': {
+        label: 'OpenAI (Responses API)',
+        defaults: { bioModel: 'gpt-5', reasoningEffort: 'medium', imageModel: 'gpt-5-nano' },
+        needsBaseUrl: false,
+        supportsBackground: true,
+        // Requests go through our proxy, which only accepts OPENAI_MODELS
+        viaProxy: true,
+
+        // Background mode keeps the generation running on OpenAI's side if our connection drops
+        requestBio({ instructions, input, schema }, settings, signal) {
+            const body = {
+                model: settings.bioModel,
+                stream: true,
+                background: true,
+                input,
+                text: {
+                    format: { type: 'json_schema', name: 'character_bio', strict: true, schema }
+                },
+                tools: [
+                    {
+                        type: "file_search",
+                        vector_store_ids: ["vs_68f837113fb481918c561f76853b87be"],
+                        max_num_results: 15
+                    }
+                ],
+                instructions
+            };
+            if (settings.reasoningEffort) {
+                body.reasoning = { effort: settings.reasoningEffort };
+            }
+            return postResponsesRequest(body, signal);
+        },
 
-// Track current version index for each field
-const currentVersionIndex = {};
-BIO_FIELDS.forEach(field => {
-    currentVersionIndex[field] = 0;
-});
+        readBioStream: readEventStream,
 
-// Event listeners
-generateBioBtn.addEventListener('click', generateBio);
-generateImageBtn.addEventListener('click', generateImage);
-downloadBioBtn.addEventListener('click', downloadBio);
-refineImageBtn.addEventListener('click', refineImage);
+        retrieveResponse(id, settings, signal) {
+            return getStoredResponse(id, signal);
+        },
 
-// Help modal functionality
-helpButton.addEventListener('click', () => {
-    helpModal.style.display = 'flex';
-    document.body.style.overflow = 'hidden'; // Prevent background scrolling
-});
+        cancelResponse(id) {
+            return cancelStoredResponse(id);
+        },
 
-closeModal.addEventListener('click', () => {
-    helpModal.style.display = 'none';
-    document.body.style.overflow = 'auto'; // Restore scrolling
-});
+        // The portrait being edited goes first, so the prompt can call it "the first image"
+        requestImage({ prompt, size, baseImage, mask, referenceImages = [] }, settings, signal) {
+            const content = [{ type: "input_text", text: prompt }];
+            [baseImage, ...referenceImages].filter(Boolean).forEach(image => {
+                content.push({ type: "input_image", image_url: `data:${image.mimeType};base64,${image.data}` });
+            });
 
-// Close modal when clicking outside of it
-helpModal.addEventListener('click', (e) => {
-    if (e.target === helpModal) {
-        helpModal.style.display = 'none';
-        document.body.style.overflow = 'auto';
-    }
-});
+            const tool = { type: "image_generation" };
+            if (size) {
+                tool.size = size;
+            }
+            if (mask) {
+                tool.input_image_mask = { image_url: `data:${mask.mimeType};base64,${mask.data}` };
+            }
 
-// Close modal with Escape key
-document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && helpModal.style.display === 'flex') {
-        helpModal.style.display = 'none';
-        document.body.style.overflow = 'auto';
-    }
-});
+            return postResponsesRequest({
+                model: settings.imageModel,
+                input: [{ role: "user", content }],
+                tools: [tool]
+            }, signal);
+        },
 
-// Initialize alignment grid
-const alignmentGrid = document.getElementById('alignmentGrid');
-const alignmentInput = document.getElementById('alignment');
+        readImage(data) {
+            const imageOutput = data.output?.find(item => item.type === 'image_generation_call');
+            return imageOutput && imageOutput.result ? imageOutput.result : null;
+        }
+    },
+
+    // Any server speaking the OpenAI chat-completions dialect - llama.cpp, Ollama, LM Studio...
+    // The knowledge base lives in OpenAI's file search, so these models write from their own lore.
+    'openai-compatible': {
+        label: 'OpenAI-compatible server (chat completions)',
+        defaults: { baseUrl: 'http://localhost:11434/v1', apiKey: '', bioModel: 'llama3.1', reasoningEffort: '', imageModel: '' },
+        needsBaseUrl: true,
+
+        requestBio({ instructions, input, schema }, settings, signal) {
+            const body = {
+                model: settings.bioModel,
+                stream: true,
+                messages: responsesInputToChatMessages(instructions, input),
+                response_format: {
+                    type: 'json_schema',
+                    json_schema: { name: 'character_bio', strict: true, schema }
+                }
+            };
+            if (settings.reasoningEffort) {
+                body.reasoning_effort = settings.reasoningEffort;
+            }
+            return postCompatibleRequest(settings, '/chat/completions', JSON.stringify(body), signal);
+        },
 
-if (alignmentGrid && alignmentInput) {
-    alignmentGrid.addEventListener('click', (e) => {
-        const tile = e.target.closest('.alignment-tile');
-        if (!tile) return;
+        readBioStream: readChatCompletionStream,
 
-        const alignment = tile.dataset.alignment;
-        const isSelected = tile.classList.contains('selected');
+        // Editing a portrait or sending reference photos needs the multipart edits endpoint
+        async requestImage({ prompt, size, baseImage, mask, referenceImages = [] }, settings, signal) {
+            if (!settings.imageModel) {
+                throw new Error('No image model is set for this server. Choose one in AI Settings.');
+            }
 
-        // Clear all selections
-        alignmentGrid.querySelectorAll('.alignment-tile').forEach(t => {
-            t.classList.remove('selected');
-        });
+            if (!baseImage && !referenceImages.length) {
+                return postCompatibleRequest(settings, '/images/generations', JSON.stringify({
+                    model: settings.imageModel,
+                    prompt,
+                    n: 1,
+                    response_format: 'b64_json',
+                    ...(size ? { size } : {})
+                }), signal);
+            }
 
-        // If it wasn't selected, select it
-        if (!isSelected) {
-            tile.classList.add('selected');
-            alignmentInput.value = alignment;
-        } else {
-            // If it was selected, unselect it
-            alignmentInput.value = '';
+            const form = new FormData();
+            form.append('model', settings.imageModel);
+            form.append('prompt', prompt);
+            form.append('response_format', 'b64_json');
+            if (size) {
+                form.append('size', size);
+            }
+            if (baseImage) {
+                form.append('image', base64ToBlob(baseImage.data, baseImage.mimeType), 'portrait.png');
+            }
+            referenceImages.forEach((image, index) => {
+                form.append('image', base64ToBlob(image.data, image.mimeType), `reference-${index + 1}.png`);
+            });
+            if (mask) {
+                form.append('mask', base64ToBlob(mask.data, mask.mimeType), 'mask.png');
+            }
+            return postCompatibleRequest(settings, '/images/edits', form, signal);
+        },
+
+        readImage(data) {
+            const image = data.data && data.data[0];
+            return image && image.b64_json ? image.b64_json : null;
         }
-    });
+    },
+
+    // Canned payloads for working on the UI offline - see the mock AI backend below
+    mock: {
+        label: 'Mock (offline fixtures)',
+        defaults: { bioModel: 'mock', reasoningEffort: '', imageModel: 'mock' },
+        needsBaseUrl: false,
+        selectable: false,
+        supportsBackground: true,
+        requestBio: requestMockBio,
+        readBioStream: readEventStream,
+        retrieveResponse: retrieveMockResponse,
+        cancelResponse: cancelMockResponse,
+        requestImage: requestMockImage,
+        readImage(data) {
+            return AI_PROVIDERS['openai-responses'].readImage(data);
+        }
+    }
+};
+
+// Models the proxy accepts - keep in sync with ALLOWED_MODELS in netlify/functions/openai-proxy.mjs.
+// Only the OpenAI-compatible provider, which talks to its server directly, takes any model name.
+const OPENAI_MODELS = ['gpt-5', 'gpt-5-nano'];
+
+// Empty string leaves the effort to the model's default
+const REASONING_EFFORTS = ['', 'minimal', 'low', 'medium', 'high'];
+
+const AI_SETTINGS_KEY = 'roshar-ai-settings';
+const DEFAULT_AI_PROVIDER = 'openai-responses';
+
+// Settings are kept per provider so switching back and forth doesn't lose them
+function loadAISettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(AI_SETTINGS_KEY) || '{}');
+        return { provider: stored.provider, providers: stored.providers || {} };
+    } catch (error) {
+        console.warn('Could not read AI settings:', error);
+        return { provider: undefined, providers: {} };
+    }
 }
 
-// Initialize version controls and field tracking
-BIO_FIELDS.forEach(field => {
-    const element = document.getElementById(field);
-    const prevBtn = document.getElementById(`${field}-prev`);
-    const nextBtn = document.getElementById(`${field}-next`);
+function saveAISettings(settings) {
+    localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify(settings));
+}
 
-    if (element && prevBtn && nextBtn) {
-        // Track user edits to change visual state (no version creation)
-        element.addEventListener('input', () => onFieldEdit(field));
+// The active provider's id and settings, with defaults filled in.
+// Mock mode overrides whatever provider is saved.
+function getAISettings() {
+    const mockScenario = getMockScenario();
+    if (mockScenario) {
+        return { provider: 'mock', ...AI_PROVIDERS.mock.defaults, scenario: mockScenario };
+    }
 
-        // Version navigation
-        prevBtn.addEventListener('click', () => navigateVersion(field, -1));
-        nextBtn.addEventListener('click', () => navigateVersion(field, 1));
+    const stored = loadAISettings();
+    const provider = AI_PROVIDERS[stored.provider] ? stored.provider : DEFAULT_AI_PROVIDER;
+    const settings = { provider, ...AI_PROVIDERS[provider].defaults, ...stored.providers[provider] };
 
-        // Add modal expansion for textareas
-        if (element.tagName === 'TEXTAREA') {
-            addModalExpansion(field, element);
-        }
+    // A model saved before the proxy narrowed its list would only be rejected there
+    if (AI_PROVIDERS[provider].viaProxy) {
+        ['bioModel', 'imageModel'].forEach(key => {
+            if (!OPENAI_MODELS.includes(settings[key])) settings[key] = AI_PROVIDERS[provider].defaults[key];
+        });
     }
-});
+    return settings;
+}
 
-// Collect all form data
-function collectFormData() {
-    const formData = {};
+function getAIProvider() {
+    return AI_PROVIDERS[getAISettings().provider];
+}
 
-    // Character Sheet fields
-    const characterSheetFields = [
-        'playerName', 'characterName', 'sex', 'level', 'ancestry', 'alignment',
-        'strength', 'speed', 'intellect', 'willpower', 'awareness', 'presence',
-        'health', 'focus', 'marks', 'liftingCapacity', 'movement', 'recoveryDie',
-        'sensesRange', 'conditionsInjuries', 'expertises', 'talents',
-        'weapons', 'armorEquipment', 'connections'
-    ];
+// POST to an OpenAI-compatible server; body is a JSON string or FormData
+function postCompatibleRequest(settings, path, body, signal) {
+    const headers = {};
+    if (typeof body === 'string') {
+        headers['Content-Type'] = 'application/json';
+    }
+    if (settings.apiKey) {
+        headers['Authorization'] = `Bearer ${settings.apiKey}`;
+    }
 
-    characterSheetFields.forEach(field => {
-        const element = document.getElementById(field);
-        formData[field] = element ? element.value : '';
+    return fetch(`${settings.baseUrl.replace(/\/+$/, '')}${path}`, {
+        method: 'POST',
+        headers,
+        signal,
+        body
     });
+}
 
-    // Character Bio fields
-    BIO_FIELDS.forEach(field => {
-        const element = document.getElementById(field);
-        formData[field] = element ? element.value : '';
+// Chat-completions messages from our Responses API input. File attachments only
+// exist on OpenAI, so they're dropped; text-only messages collapse to plain strings
+// because not every local server understands content arrays.
+function responsesInputToChatMessages(instructions, input) {
+    const messages = instructions ? [{ role: 'system', content: instructions }] : [];
+    const userMessages = typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+
+    userMessages.forEach(message => {
+        if (typeof message.content === 'string') {
+            messages.push({ role: message.role, content: message.content });
+            return;
+        }
+
+        const parts = message.content
+            .map(part => {
+                if (part.type === 'input_text') return { type: 'text', text: part.text };
+                if (part.type === 'input_image') return { type: 'image_url', image_url: { url: part.image_url } };
+                return null;
+            })
+            .filter(Boolean);
+
+        messages.push({
+            role: message.role,
+            content: parts.every(part => part.type === 'text') ? parts.map(part => part.text).join('\n\n') : parts
+        });
     });
 
-    return formData;
+    return messages;
 }
 
-// Upload the Welcome to Roshar PDF (the only one under 32MB limit)
-// Note: Using pre-uploaded file ID to avoid repeated uploads
+// Read a streamed chat completion and replay it as Responses API events
+async function readChatCompletionStream(response, onEvent) {
+    let text = '';
+    let refusal = '';
+    let finishReason = null;
 
-// Mobile browser state management
-let isAppVisible = true;
-let generationInProgress = false;
-let currentGenerationAbortController = null;
+    onEvent({ type: 'response.created' });
+    await readEventStream(response, chunk => {
+        if (chunk.error) {
+            onEvent({ type: 'error', message: chunk.error.message || String(chunk.error) });
+            return;
+        }
 
-// Handle mobile app switching
-document.addEventListener('visibilitychange', () => {
-    isAppVisible = !document.hidden;
+        const choice = chunk.choices && chunk.choices[0];
+        if (!choice) return;
+        const delta = choice.delta || {};
 
-    if (!isAppVisible && generationInProgress) {
-        console.log('⚠️ App backgrounded during generation - maintaining connection...');
-        // Show warning to user
-        const progressText = document.querySelector('.progress-text');
-        if (progressText) {
-            progressText.textContent = '⚠️ Keep app open - generation continues in background';
+        // Reasoning models served by llama.cpp and friends stream their thinking separately
+        if (delta.reasoning_content) {
+            onEvent({ type: 'response.reasoning_summary_text.delta', delta: delta.reasoning_content });
         }
-    } else if (isAppVisible && generationInProgress) {
-        console.log('✅ App foregrounded - generation continuing...');
-        const progressText = document.querySelector('.progress-text');
-        if (progressText) {
-            progressText.textContent = 'AI Agent researching - generation resumed';
+        if (delta.refusal) {
+            refusal += delta.refusal;
         }
-    }
-});
+        if (delta.content) {
+            if (!text) {
+                onEvent({ type: 'response.output_item.added', item: { type: 'message' } });
+            }
+            text += delta.content;
+            onEvent({ type: 'response.output_text.delta', delta: delta.content });
+        }
+        if (choice.finish_reason) {
+            finishReason = choice.finish_reason;
+        }
+    });
 
-// Prevent mobile browser from sleeping during generation
-let wakeLock = null;
-async function requestWakeLock() {
-    try {
-        if ('wakeLock' in navigator) {
-            wakeLock = await navigator.wakeLock.request('screen');
-            console.log('🔒 Screen wake lock acquired');
+    const incomplete = finishReason === 'length';
+    onEvent({
+        type: incomplete ? 'response.incomplete' : 'response.completed',
+        response: {
+            status: incomplete ? 'incomplete' : 'completed',
+            incomplete_details: incomplete ? { reason: 'max_output_tokens' } : null,
+            output: [{
+                type: 'message',
+                content: [refusal ? { type: 'refusal', refusal } : { type: 'output_text', text }]
+            }]
         }
-    } catch (err) {
-        console.log('Wake lock not supported or failed:', err);
-    }
+    });
 }
 
-async function releaseWakeLock() {
-    if (wakeLock) {
-        try {
-            await wakeLock.release();
-            wakeLock = null;
-            console.log('🔓 Screen wake lock released');
-        } catch (err) {
-            console.log('Wake lock release failed:', err);
-        }
+// Mock AI backend - deterministic Responses API payloads so the UI can be worked on
+// with no network and no waiting. Turn it on with ?mock or ?mock=<scenario> in the URL,
+// or MOCK_AI: true / '<scenario>' in config.js.
+const MOCK_SCENARIOS = {
+    success: 'Streams a complete bio and returns a portrait',
+    fenced: 'Bio JSON wrapped in a ```json code fence',
+    prose: 'Bio JSON with chatter before it (not valid JSON)',
+    truncated: 'Bio JSON cut off mid-string (not valid JSON)',
+    'missing-fields': 'Valid JSON with only half of the requested fields',
+    'wrong-types': 'Valid JSON with numbers and nulls instead of strings',
+    refusal: 'The model declines to write the character',
+    incomplete: 'The response stops before any text is written',
+    'no-image': 'Image response without an image_generation_call',
+    'rate-limit': 'Every request fails with HTTP 429 and a Retry-After header',
+    'server-error': 'Every request fails with HTTP 500',
+    flaky: 'Every other request fails with HTTP 503, so each retry succeeds',
+    abort: 'The bio stream drops partway through; the finished bio is then collected by polling',
+    hang: 'Requests never answer until they are cancelled'
+};
+
+const MOCK_EVENT_DELAY_MS = 40;
+
+// The flaky scenario alternates, failing the first attempt and passing the retry
+let mockFlakyRequestCount = 0;
+
+// Finished mock responses, kept per tab so a reload can collect them like a background response
+const MOCK_RESPONSES_KEY = 'roshar-mock-responses';
+
+// Fixture bio - one plausible Rosharan character, reused whatever the sheet says
+const MOCK_BIO_TEXT = {
+    appearance: 'Tall and rangy, with the dark eyes of a commoner and callused hands from years hauling crem-coated stone. Wears a patched havah (or a worn takama) in faded Kholin blue.',
+    background: 'Born in a quarry town outside Hearthstone, the character grew up cutting stone for lighteyed builders and learning to read the sky for highstorms.\n\nWhen a rockslide killed their foreman, they took the blame to protect a friend and left home with nothing but a sphere lantern and a grudge against the local citylord.',
+    personality: 'Wry, patient and stubborn. Slow to trust, but fiercely loyal once they do.',
+    affiliations: 'Former quarry crew of Brightlord Amaram\'s lands; owes a favour to a Thaylen caravan master.',
+    catchphrase: '"Stone remembers, even when people don\'t."',
+    languageQuirks: 'Counts in broams and chips even when talking about time; swears by the Stormfather under their breath.',
+    superstitions: 'Never sleeps facing east during the Weeping and always leaves a glyphward by the door before a storm.',
+    diet: 'Soulcast grain and curried lavis when money allows, shalm porridge when it doesn\'t.',
+    secrets: 'They weren\'t in the quarry when the rockslide happened - they were stealing spheres from the foreman\'s strongbox.',
+    characterFlaws: 'Holds grudges for years and refuses help even when badly hurt.',
+    whatExcites: 'Old ruins, new maps and the promise of a sphere pouch heavy enough to buy their family\'s debt.',
+    dynamicGoals: 'Clear their name in their home town; find out who really caused the rockslide.',
+    mostWant: 'To be someone their younger siblings can be proud of.',
+    wontDo: 'Abandon a crewmate in a highstorm, whatever the cost.'
+};
+
+// 24x24 stormlight-blue placeholder portrait
+const MOCK_PORTRAIT_PNG = 'iVBORw0KGgoAAAANSUhEUgAAABgAAAAYCAIAAABvFaqvAAACXUlEQVR42q3VS0uVURQG4O9HFIR09XrQzFuaZWr3QtIEqRNJGmnlJSwVsSRKM0zy4ImwQinBlATJiBCKIIgGESFNgkYNGjRq2C/o2ec3fLAG6/K+715r7X2+E21InNtY1LaprDOrqmdzzfWtB4a2HxnZcfx2dsNYTuO93KaJ3FMZa5oQSioBgAGjIKITiYJK+aWs6qtbage2Hb4Bl3NyPK/5fn7LVMHp6UQynTj7MFgyLZRUAgADRkFEJxKFXqjUDTonu2HU4fktKczC1pmitqdF7bM7L8wxjlBSCQAMGAUxaJV1RtojnFEZy2ueLDgzHSTaZ4s75nddXijpWiztXmIcoaQSABgwStDSV1VPZFRNklfQf+H5J8UXn5VceVHau1zet1LRv1ox8DpY/6pQUgkADDijNYpOJLI2A2s19EKlY975OLsH31QOr1XdfLdn5D3jCCWDXPcSGDAKIjqRSG+WZ2wNOyqoXHtVOfQWee+dj/vufqoZ/8w4QkklgKClr9YZRHQiET0XYYWG17YDQatvfcDcP/Gl7sG3+tQ64wgllYJW3wowCiI6kcjCXGpox1C9y5p3LELt5Nf66e8HH/049Pgn4wgllQDAgMOAoakpIpFn5oG4WpcS2hleM4LD0fCPzv069vw34wgllQDAgFEQ0YlEnqz9h7m6Fl2NpTrTIFpAPrHwp+HlX8YRSioBgAGjhOmSaSKRtZvTk7M/16xtq7UU52uEROPqP8YRhqZS6wBgwCiI6ERiFIprtNiWHdv1x/YgY/uJxPajje0zEtuHLbZPbWwf/7j+jv4DTmSnf2p9SZQAAAAASUVORK5CYII=';
+
+// ?mock in the URL wins over config.js; returns null when mock mode is off
+function getMockScenario() {
+    if (typeof window === 'undefined') return null;
+
+    const param = new URLSearchParams(window.location.search).get('mock');
+    const configured = window.CONFIG && window.CONFIG.MOCK_AI;
+    const scenario = param !== null ? (param || 'success') : (configured === true ? 'success' : configured || null);
+
+    if (scenario && !MOCK_SCENARIOS[scenario]) {
+        console.warn(`Unknown mock scenario "${scenario}", using "success". Known scenarios: ${Object.keys(MOCK_SCENARIOS).join(', ')}`);
+        return 'success';
     }
+    return scenario;
 }
 
-// Generate character bio using OpenAI Responses API
-async function generateBio() {
-    // Initialize API key if not already done
-    if (!OPENAI_API_KEY) {
-        await initializeAPIKey();
-    }
+function mockJsonResponse(status, body, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
 
-    if (!OPENAI_API_KEY) {
-        alert('API key not configured. Please set your OpenAI API key in the script.');
-        return;
+// The HTTP failures shared by bio and image requests, or null for the scenario's normal answer
+async function mockFailure(scenario, signal) {
+    if (scenario === 'hang') {
+        await new Promise((resolve, reject) => {
+            if (signal) signal.addEventListener('abort', () => reject(abortError()), { once: true });
+        });
     }
 
-    // Prevent multiple simultaneous generations
-    if (generationInProgress) {
-        alert('Character generation already in progress. Please wait for it to complete.');
-        return;
-    }
+    await delay(MOCK_EVENT_DELAY_MS, signal);
 
-    const formData = collectFormData();
+    if (scenario === 'rate-limit') {
+        return mockJsonResponse(429, {
+            error: { message: 'Rate limit reached (mock). Please try again in 2s.', type: 'requests', code: 'rate_limit_exceeded' }
+        }, { 'Retry-After': '2' });
+    }
+    if (scenario === 'flaky' && mockFlakyRequestCount++ % 2 === 0) {
+        return mockJsonResponse(503, {
+            error: { message: 'The engine is currently overloaded (mock).', type: 'server_error', code: null }
+        });
+    }
+    if (scenario === 'server-error') {
+        return mockJsonResponse(500, {
+            error: { message: 'The server had an error while processing your request (mock).', type: 'server_error', code: null }
+        });
+    }
+    return null;
+}
 
-    // Set generation state
-    generationInProgress = true;
-    currentGenerationAbortController = new AbortController();
+// The message text the bio scenario "writes" for the requested fields
+function mockBioText(scenario, fields) {
+    const bio = {};
+    fields.forEach(field => {
+        bio[field] = MOCK_BIO_TEXT[field] || `Mock text for ${field}.`;
+    });
+    const json = JSON.stringify(bio, null, 2);
+
+    switch (scenario) {
+        case 'fenced':
+            return '```json\n' + json + '\n```';
+        case 'prose':
+            return `Here is your character, researched from the archives:\n\n${json}`;
+        case 'truncated':
+            return json.slice(0, Math.floor(json.length * 0.6));
+        case 'missing-fields': {
+            const kept = {};
+            fields.slice(0, Math.ceil(fields.length / 2)).forEach(field => {
+                kept[field] = bio[field];
+            });
+            return JSON.stringify(kept, null, 2);
+        }
+        case 'wrong-types': {
+            const mangled = { ...bio };
+            fields.forEach((field, index) => {
+                if (index % 3 === 0) mangled[field] = index;
+                if (index % 3 === 1) mangled[field] = null;
+            });
+            return JSON.stringify(mangled, null, 2);
+        }
+        default:
+            return json;
+    }
+}
 
-    // Request wake lock to prevent mobile sleep
-    await requestWakeLock();
+// Responses API stream events for one mock bio generation
+function mockBioEvents(scenario, fields) {
+    const id = 'resp_mock_bio';
+    const base = { id, object: 'response', model: 'mock' };
+    const events = [
+        { type: 'response.created', response: { ...base, status: 'in_progress', output: [] } },
+        { type: 'response.in_progress', response: { ...base, status: 'in_progress', output: [] } }
+    ];
 
-    // Show loading state and lock all fields
-    generateBioBtn.disabled = true;
+    ['ancestry customs', 'regional geography'].forEach((query, index) => {
+        const item_id = `fs_mock_${index + 1}`;
+        events.push(
+            { type: 'response.file_search_call.in_progress', item_id },
+            { type: 'response.file_search_call.searching', item_id },
+            { type: 'response.file_search_call.completed', item_id }
+        );
+    });
 
-    // Show progress indicator
-    const progressIndicator = document.getElementById('aiProgress');
-    const progressFill = progressIndicator.querySelector('.progress-fill');
-    const progressText = progressIndicator.querySelector('.progress-text');
-    const mobileWarning = document.getElementById('mobileWarning');
-    progressIndicator.style.display = 'block';
+    events.push(
+        { type: 'response.output_item.added', item: { type: 'reasoning', id: 'rs_mock' } },
+        { type: 'response.reasoning_summary_text.delta', delta: 'Weighing the character sheet against the archives.' }
+    );
 
-    // Show mobile warning if on mobile device
-    if (/Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent)) {
-        mobileWarning.style.display = 'block';
+    if (scenario === 'incomplete') {
+        events.push({
+            type: 'response.incomplete',
+            response: { ...base, status: 'incomplete', incomplete_details: { reason: 'max_output_tokens' }, output: [] }
+        });
+        return events;
     }
 
-    // Start progress animation with time tracking
-    let progressDots = 0;
-    let elapsedSeconds = 0;
-    const startTime = Date.now();
-    const progressMessages = [
-        'Researching Roshar lore',
-        'Analyzing cultural backgrounds',
-        'Exploring social structures',
-        'Mapping regional details',
-        'Investigating historical events',
-        'Crafting character elements',
-        'Synthesizing final details',
-        'Consulting the Diagram',
-        'Deciphering ancient texts',
-        'Studying spren behavior patterns',
-        'Examining highstorm cycles',
-        'Reviewing Vorin orthodoxy',
-        'Analyzing Shardbearer histories',
-        'Investigating Parshendi customs',
-        'Mapping trade route networks',
-        'Studying Alethi war camps',
-        'Asking Wit for advice (he\'s being cryptic)',
-        'Researching Thaylen merchants',
-        'Examining Azish bureaucracy',
-        'Analyzing Shin stone shamans',
-        'Verifying spheres aren\'t counterfeit',
-        'Investigating Kholinar archives',
-        'Investigating Horneater peaks',
-        'Confirming Shallan isn\'t drawing this',
-        'Studying Unkalaki traditions',
-        'Researching Reshi isles culture',
-        'Double-checking for hidden Radiants',
-        'Examining Babatharnam customs',
-        'Analyzing Iri artistic traditions',
-        'Investigating Jah Keved politics',
-        'Studying Kharbranth scholars',
-        'Researching Natanatan ruins',
-        'Examining Alethkar nobility',
-        'Analyzing Vedenar traditions',
-        'Investigating Emul conflicts',
-        'Studying Tukar religious practices',
-        'Researching Marabethia customs',
-        'Examining Desh cultural norms',
-        'Analyzing Liafor trade practices',
-        'Investigating Yezier traditions',
-        'Checking if Kaladin is brooding nearby',
-        'Studying Bavland customs',
-        'Researching Triax politics',
-        'Examining Steen cultural practices',
-        'Analyzing Rira maritime traditions',
-        'Consulting Bridge Four tactics',
-        'Ensuring no cremlings are eavesdropping',
-        'Making sure Adolin isn\'t dueling anyone'        
-    ];
-    let messageIndex = 0;
-
-    const updateProgress = () => {
-        progressDots = (progressDots + 1) % 4;
-        const dots = '.'.repeat(progressDots);
-        const spaces = '\u00A0'.repeat(3 - progressDots);
-
-        elapsedSeconds = Math.floor((Date.now() - startTime) / 1000);
-        const timeDisplay = elapsedSeconds < 60 ? `${elapsedSeconds}s` : `${Math.floor(elapsedSeconds / 60)}m ${elapsedSeconds % 60}s`;
+    const content = scenario === 'refusal'
+        ? [{ type: 'refusal', refusal: 'I can\'t help with that character (mock refusal).' }]
+        : [{ type: 'output_text', text: mockBioText(scenario, fields), annotations: [] }];
 
-        // Simulate progress (reaches ~80% after 10 minutes, then slows down)
-        const progressPercent = Math.min(95, (elapsedSeconds / 600) * 80 + (elapsedSeconds > 600 ? (elapsedSeconds - 600) / 1800 * 15 : 0));
+    events.push({ type: 'response.output_item.added', item: { type: 'message', id: 'msg_mock', role: 'assistant' } });
+    if (content[0].type === 'output_text') {
+        const text = content[0].text;
+        const chunkSize = Math.max(20, Math.ceil(text.length / 40));
+        for (let i = 0; i < text.length; i += chunkSize) {
+            events.push({ type: 'response.output_text.delta', item_id: 'msg_mock', delta: text.slice(i, i + chunkSize) });
+        }
+    }
 
-        generateBioBtn.textContent = 'Generating...';
-        progressFill.style.width = `${progressPercent}%`;
-        progressText.textContent = `${progressMessages[messageIndex]} - ${timeDisplay}`;
-    };
+    events.push({
+        type: 'response.completed',
+        response: {
+            ...base,
+            status: 'completed',
+            output: [{ type: 'message', id: 'msg_mock', role: 'assistant', status: 'completed', content }]
+        }
+    });
+    return events;
+}
 
-    // Update dots every 500ms, message every 4 seconds
-    const dotInterval = setInterval(updateProgress, 500);
-    const messageInterval = setInterval(() => {
-        messageIndex = (messageIndex + 1) % progressMessages.length;
-    }, 4000);
+// Serve events as a server-sent event stream, one every MOCK_EVENT_DELAY_MS.
+// abortAfter cuts the stream off like a dropped connection.
+function mockEventStream(events, signal, abortAfter = Infinity) {
+    const encoder = new TextEncoder();
+    let index = 0;
 
-    // Store intervals for cleanup
-    generateBioBtn.dotInterval = dotInterval;
-    generateBioBtn.messageInterval = messageInterval;
+    return new Response(new ReadableStream({
+        async pull(controller) {
+            try {
+                await delay(MOCK_EVENT_DELAY_MS, signal);
+            } catch (error) {
+                controller.error(error);
+                return;
+            }
 
-    // Add heartbeat to keep connection alive on mobile
-    const heartbeatInterval = setInterval(() => {
-        if (generationInProgress && !document.hidden) {
-            // Send a small keepalive request
-            fetch('/favicon.ico', { method: 'HEAD' }).catch(() => { });
+            if (index >= abortAfter) {
+                controller.error(abortError());
+            } else if (index >= events.length) {
+                controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                controller.close();
+            } else {
+                const event = events[index++];
+                controller.enqueue(encoder.encode(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`));
+            }
         }
-    }, 30000); // Every 30 seconds
+    }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
 
-    // Store heartbeat for cleanup
-    generateBioBtn.heartbeatInterval = heartbeatInterval;
+async function requestMockBio({ schema }, settings, signal) {
+    const failure = await mockFailure(settings.scenario, signal);
+    if (failure) return failure;
 
-    // Start immediately
-    updateProgress();
+    const events = mockBioEvents(settings.scenario, Object.keys(schema.properties));
 
-    // Lock all bio fields during generation
-    BIO_FIELDS.forEach(field => {
-        const element = document.getElementById(field);
-        if (element) {
-            element.disabled = true;
-            element.style.opacity = '0.6';
-        }
+    // Each generation gets its own id; the "server" finishes it whatever happens to the stream
+    const responseId = `resp_mock_${Date.now().toString(36)}`;
+    events.forEach(event => {
+        if (event.response) event.response.id = responseId;
     });
+    const stored = JSON.parse(sessionStorage.getItem(MOCK_RESPONSES_KEY) || '{}');
+    stored[responseId] = events[events.length - 1].response;
+    sessionStorage.setItem(MOCK_RESPONSES_KEY, JSON.stringify(stored));
 
-    try {
-        // Use the pre-uploaded Welcome to Roshar PDF file
-        const pdfFileIds = ['file-3VQDhPG6m61qHiGuwfFZ2x'];
+    const abortAfter = settings.scenario === 'abort' ? Math.floor(events.length / 2) : Infinity;
+    return mockEventStream(events, signal, abortAfter);
+}
 
-        console.log('🚀 Initializing Enhanced AI Agent with:');
-        console.log('📚 Vector Store: vs_68f837113fb481918c561f76853b87be (3 large PDFs)');
-        console.log('📄 Direct File: file-3VQDhPG6m61qHiGuwfFZ2x (Welcome to Roshar)');
-        console.log('🧠 Reasoning Level: Medium');
-        console.log('🔍 Max Search Results: 15');
-
-        // Update button text to show research phase
-        generateBioBtn.textContent = 'Researching...';
-
-        // Create the input for the enhanced agentic AI using Responses API format
-        const input = createEnhancedBioInput(formData, pdfFileIds);
-
-        // Debug: Log the input structure
-        console.log('📝 API Input structure:', JSON.stringify(input, null, 2));
-
-        let response;
-        let attemptCount = 0;
-        const maxAttempts = 3;
-
-        // Try the API call with fallback strategies
-        while (attemptCount < maxAttempts) {
-            attemptCount++;
-            let currentInput = input;
-
-            // If this isn't the first attempt, try with fewer files
-            if (attemptCount === 2 && pdfFileIds.length > 1) {
-                console.log('🔄 Retrying with simplified approach...');
-                currentInput = createEnhancedBioInput(formData, [pdfFileIds[0]]);
-            } else if (attemptCount === 3) {
-                console.log('🔄 Final attempt with core knowledge only...');
-                currentInput = createEnhancedBioInput(formData, []);
-            }
-            // Keep button text simple throughout
-            generateBioBtn.textContent = 'Generating...';
+async function retrieveMockResponse(id, settings, signal) {
+    await delay(MOCK_EVENT_DELAY_MS, signal);
 
-            try {
-                response = await fetch(OPENAI_RESPONSES_URL, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${OPENAI_API_KEY}`
-                    },
-                    signal: currentGenerationAbortController.signal,
-                    body: JSON.stringify({
-                        model: 'gpt-5',
-                        reasoning: { effort: 'medium' },
-                        input: currentInput,
-                        tools: [
-                            {
-                                type: "file_search",
-                                vector_store_ids: ["vs_68f837113fb481918c561f76853b87be"],
-                                max_num_results: 15
-                            }
-                        ],
-                        instructions: `You are an expert Stormlight Archive character creation agent with access to comprehensive worldbuilding materials through both uploaded files and searchable knowledge bases.
+    const stored = JSON.parse(sessionStorage.getItem(MOCK_RESPONSES_KEY) || '{}');
+    if (!stored[id]) {
+        return mockJsonResponse(404, { error: { message: `No response found with id '${id}' (mock).`, type: 'invalid_request_error' } });
+    }
+    return mockJsonResponse(200, stored[id]);
+}
 
-🎲 CAMPAIGN CONTEXT - CRITICAL:
-- Creating Level 1 characters for the STONEWALKERS ADVENTURE campaign
-- Timeline: The EVERSTORM has NOT yet happened - this is pre-everstorm Roshar
-- Characters are brand new adventurers who have never used stormlight
-- Characters have never been approached by a Spren for a nahel bond
-- This is the traditional Roshar before the major upheavals of the later books
+async function cancelMockResponse(id) {
+    const stored = JSON.parse(sessionStorage.getItem(MOCK_RESPONSES_KEY) || '{}');
+    delete stored[id];
+    sessionStorage.setItem(MOCK_RESPONSES_KEY, JSON.stringify(stored));
+    return mockJsonResponse(200, { id, object: 'response', status: 'cancelled', output: [] });
+}
 
-🔍 RESEARCH METHODOLOGY:
-1. ANALYZE the provided character stats and any existing bio information
-2. SEARCH the knowledge base for relevant cultural, geographical, and social information
-3. RESEARCH character archetypes, naming conventions, and cultural practices
-4. CROSS-REFERENCE findings with uploaded reference documents
-5. SYNTHESIZE all information into a cohesive, lore-accurate character
+async function requestMockImage({ baseImage, referenceImages = [] }, settings, signal) {
+    const failure = await mockFailure(settings.scenario, signal);
+    if (failure) return failure;
 
-🎯 RESEARCH PRIORITIES:
-- Cultural backgrounds and customs relevant to character ancestry/location
-- Social structures, hierarchies, and occupations appropriate for Level 1 characters
-- Regional characteristics, climate, and geography  
-- Historical events that might shape the character's background (pre-everstorm)
-- Religious practices, superstitions, and beliefs
-- Language patterns, naming conventions, and cultural quirks
-- Economic systems, trade, and daily life details
-- Appropriate starting backgrounds for new adventurers
-- Moral and ethical frameworks that align with the character's alignment
+    await delay(MOCK_EVENT_DELAY_MS * 10, signal);
 
-⚡ AGENTIC WORKFLOW:
-1. First, search for information about the character's ancestry, region, or any specified background elements
-2. Research cultural practices, social norms, and typical character archetypes for that background
-3. Look up relevant historical events, conflicts, or social issues that could inform the character's story (remembering this is pre-everstorm)
-4. Search for examples of similar characters or cultural elements in the source material
-5. Synthesize all research into authentic, detailed character elements appropriate for Level 1 adventurers
+    const output = settings.scenario === 'no-image'
+        ? [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'I could not draw this portrait (mock).' }] }]
+        : [{
+            type: 'image_generation_call',
+            id: baseImage || referenceImages.length ? 'ig_mock_refined' : 'ig_mock',
+            status: 'completed',
+            result: MOCK_PORTRAIT_PNG
+        }];
 
-🎨 CHARACTER CREATION PRINCIPLES:
-- Every detail should feel authentic to pre-everstorm Roshar's culture and magic system
-- Characters should be appropriate for Level 1 adventurers starting their journey
-- Characters have no prior experience with stormlight or spren bonds
-- Include specific cultural details that demonstrate deep knowledge of the setting
-- Create meaningful secrets and flaws that could drive interesting storylines
-- Ensure character goals and motivations align with traditional Rosharan values and conflicts
-- Remember this is the "old world" before the major changes of the everstorm
-
-IMPORTANT: Return ONLY a valid JSON object. Use your research to create rich, detailed, lore-accurate content for Level 1 Stonewalkers Adventure characters.
-
-{
-    "appearance": "detailed physical description with cultural/regional specifics",
-    "background": "comprehensive history incorporating researched cultural and historical elements", 
-    "personality": "character traits reflecting cultural background and personal experiences",
-    "affiliations": "specific organizations, groups, or loyalties based on research",
-    "catchphrase": "culturally appropriate saying reflecting character's background",
-    "languageQuirks": "speech patterns specific to region/culture/background",
-    "superstitions": "beliefs and rituals authentic to Rosharan culture",
-    "diet": "food preferences reflecting regional availability and cultural norms",
-    "secrets": "meaningful secrets that tie into broader world conflicts and lore; at least one minor and one major secret that could shape the story and/or gameplay",
-    "characterFlaws": "flaws that create interesting story potential and character growth",
-    "whatExcites": "motivations that connect to larger world themes and conflicts",
-    "dynamicGoals": "objectives that could evolve with campaign events",
-    "mostWant": "desires that reflect both personal and cultural values",
-    "wontDo": "moral boundaries shaped by cultural background and personal ethics"
-}`
-                    })
-                });
+    return mockJsonResponse(200, { id: 'resp_mock_image', object: 'response', status: 'completed', model: 'mock', output });
+}
 
-                if (response.ok) {
-                    console.log(`✅ API call successful on attempt ${attemptCount}`);
-                    break;
-                } else {
-                    const errorText = await response.text();
-                    console.warn(`❌ Attempt ${attemptCount} failed: ${response.status} - ${errorText}`);
-                    if (attemptCount === maxAttempts) {
-                        throw new Error(`API request failed after ${maxAttempts} attempts: ${response.status} - ${errorText}`);
-                    }
-                }
-            } catch (error) {
-                console.error(`❌ Attempt ${attemptCount} error:`, error);
-
-                // Handle mobile-specific errors
-                if (error.name === 'AbortError') {
-                    throw new Error('Generation was cancelled. Please try again and keep the app open.');
-                } else if (!navigator.onLine) {
-                    throw new Error('Network connection lost. Please check your internet connection and try again.');
-                } else if (error.message.includes('fetch')) {
-                    throw new Error('Network error occurred. This often happens when switching apps on mobile. Please try again and keep the app open.');
-                }
+// Character sheet fields collected alongside the bio
+const CHARACTER_SHEET_FIELDS = [
+    'playerName', 'characterName', 'sex', 'level', 'ancestry', 'alignment',
+    'strength', 'speed', 'intellect', 'willpower', 'awareness', 'presence',
+    'health', 'focus', 'marks', 'liftingCapacity', 'movement', 'recoveryDie',
+    'sensesRange', 'conditionsInjuries', 'expertises', 'talents',
+    'weapons', 'armorEquipment', 'connections'
+];
 
-                if (attemptCount === maxAttempts) {
-                    throw error;
-                }
-            }
+// Bio field mappings
+const BIO_FIELDS = [
+    'appearance', 'background', 'personality', 'affiliations',
+    'catchphrase', 'languageQuirks', 'superstitions', 'diet',
+    'secrets', 'characterFlaws', 'whatExcites', 'dynamicGoals',
+    'mostWant', 'wontDo'
+];
 
-            // Wait a bit before retrying
-            if (attemptCount < maxAttempts) {
-                console.log('⏳ Waiting 1 second before retry...');
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
-        }
+// Display labels for bio fields in prompts
+const BIO_FIELD_LABELS = {
+    appearance: 'Appearance',
+    background: 'Background',
+    personality: 'Personality',
+    affiliations: 'Affiliations',
+    catchphrase: 'Catchphrase',
+    languageQuirks: 'Language Quirks',
+    superstitions: 'Superstitions',
+    diet: 'Diet',
+    secrets: 'Secrets',
+    characterFlaws: 'Character Flaws',
+    whatExcites: 'What Excites',
+    dynamicGoals: 'Dynamic Goals',
+    mostWant: 'Most Want',
+    wontDo: 'Won\'t Do'
+};
+
+// What the model should write for each bio field
+const BIO_FIELD_DESCRIPTIONS = {
+    appearance: 'detailed physical description with cultural/regional specifics',
+    background: 'comprehensive history incorporating researched cultural and historical elements',
+    personality: 'character traits reflecting cultural background and personal experiences',
+    affiliations: 'specific organizations, groups, or loyalties based on research',
+    catchphrase: 'culturally appropriate saying reflecting character\'s background',
+    languageQuirks: 'speech patterns specific to region/culture/background',
+    superstitions: 'beliefs and rituals authentic to Rosharan culture',
+    diet: 'food preferences reflecting regional availability and cultural norms',
+    secrets: 'meaningful secrets that tie into broader world conflicts and lore; at least one minor and one major secret that could shape the story and/or gameplay',
+    characterFlaws: 'flaws that create interesting story potential and character growth',
+    whatExcites: 'motivations that connect to larger world themes and conflicts',
+    dynamicGoals: 'objectives that could evolve with campaign events',
+    mostWant: 'desires that reflect both personal and cultural values',
+    wontDo: 'moral boundaries shaped by cultural background and personal ethics'
+};
+
+// Research hints sent in place of empty bio fields
+const BIO_FIELD_HINTS = {
+    appearance: 'Research and generate based on ancestry/region and Character Sheet details.',
+    background: 'Research cultural background and create detailed history, at least 2 paragraphs long',
+    personality: 'Generate based on cultural norms and personal experiences',
+    affiliations: 'Research relevant organizations and create connections',
+    catchphrase: 'Create culturally appropriate saying',
+    languageQuirks: 'Research regional speech patterns',
+    superstitions: 'Research cultural beliefs and practices',
+    diet: 'Research regional food culture and preferences',
+    secrets: 'Create meaningful secrets tied to world lore',
+    characterFlaws: 'Generate flaws that create story potential',
+    whatExcites: 'Connect to broader world themes and conflicts',
+    dynamicGoals: 'Create goals that can evolve with campaign',
+    mostWant: 'Generate desires reflecting cultural values',
+    wontDo: 'Create moral boundaries based on background'
+};
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API request failed: ${response.status} - ${errorText}`);
-        }
+// History tracking for bio fields
+const fieldHistory = {};
 
-        const data = await response.json();
+// Fields the player has locked - AI generation never overwrites these
+const lockedFields = new Set();
 
-        // Extract JSON from the response with robust error handling
-        let bioData;
-        try {
-            // Find the message output in the response
-            const messageOutput = data.output?.find(item => item.type === 'message');
-            if (messageOutput && messageOutput.content && messageOutput.content[0]) {
-                bioData = parseAIResponse(messageOutput.content[0].text);
-            } else {
-                throw new Error('No message content found in response');
-            }
-        } catch (parseError) {
-            console.error('Error parsing response:', parseError);
-            console.log('Full response:', data);
-            alert('Error parsing AI response. Please try generating again.');
-            return;
-        }
+// Initialize history for each bio field
+BIO_FIELDS.forEach(field => {
+    fieldHistory[field] = [];
+});
 
-        // Show completion mesds withiefly
-        generateBioBtn.textContent = 'Generated!';
+// Parse the JSON text of a structured-output response
+function parseAIResponse(outputText) {
+    if (!outputText || typeof outputText !== 'string') {
+        throw new Error('Invalid output text');
+    }
 
-        // Update the bio fields with AI-generated content
-        updateBioFields(bioData);
-        // Show secondary actions
-        generateImageBtn.style.display = 'block';
-        downloadBioBtn.style.display = 'block';
+    // Schema output is plain JSON, but tolerate a markdown fence around it
+    const cleanText = outputText.trim()
+        .replace(/^```(?:json)?\s*/, '')
+        .replace(/\s*```$/, '');
 
+    try {
+        return JSON.parse(cleanText);
     } catch (error) {
-        console.error('Error generating bio:', error);
-        alert(`Error generating bio: ${error.message}`);
-    } finally {
-        // Clean up progress intervals and hide indicator
-        if (generateBioBtn.dotInterval) {
-            clearInterval(generateBioBtn.dotInterval);
-            delete generateBioBtn.dotInterval;
-        }
-        if (generateBioBtn.messageInterval) {
-            clearInterval(generateBioBtn.messageInterval);
-            delete generateBioBtn.messageInterval;
-        }
-        if (generateBioBtn.heartbeatInterval) {
-            clearInterval(generateBioBtn.heartbeatInterval);
-            delete generateBioBtn.heartbeatInterval;
-        }
+        console.error('Could not parse AI response. Raw text:', cleanText);
+        throw new Error(`Response was not valid JSON: ${error.message}`);
+    }
+}
 
-        // Hide progress indicator
-        const progressIndicator = document.getElementById('aiProgress');
-        if (progressIndicator) {
-            progressIndicator.style.display = 'none';
+// Find the output text of a Responses API result, surfacing refusals and cut-off output
+function extractOutputText(data) {
+    const messageOutput = data.output?.find(item => item.type === 'message');
+    const parts = messageOutput && messageOutput.content ? messageOutput.content : [];
+
+    const refusal = parts.find(part => part.type === 'refusal');
+    if (refusal) {
+        throw new Error(`The AI declined to write this character: ${refusal.refusal}`);
+    }
+
+    const textPart = parts.find(part => part.type === 'output_text') || parts[0];
+    if (!textPart || !textPart.text) {
+        if (data.status === 'incomplete') {
+            const reason = data.incomplete_details ? data.incomplete_details.reason : 'unknown reason';
+            throw new Error(`The response was cut off before any text was written (${reason})`);
         }
+        throw new Error('No message content found in response');
+    }
 
-        // Reset generation state
-        generationInProgress = false;
-        currentGenerationAbortController = null;
+    return textPart.text;
+}
 
-        // Release wake lock
-        releaseWakeLock();
+// JSON schema for the bio object, limited to the requested fields.
+// Strict mode requires every property to be listed as required.
+function buildBioSchema(fields) {
+    const properties = {};
+    fields.forEach(field => {
+        properties[field] = {
+            type: 'string',
+            description: BIO_FIELD_DESCRIPTIONS[field]
+        };
+    });
 
-        // Reset button state and unlock all fields
-        generateBioBtn.disabled = false;
-        generateBioBtn.textContent = 'Generate Bio';
+    return {
+        type: 'object',
+        properties,
+        required: fields,
+        additionalProperties: false
+    };
+}
 
+// Check a parsed bio against the requested fields.
+// Returns the usable values plus one error per field that can't be applied.
+function validateBioData(bioData, fields) {
+    const result = { valid: {}, errors: [] };
 
-        BIO_FIELDS.forEach(field => {
-            const element = document.getElementById(field);
-            if (element) {
-                element.disabled = false;
-                element.style.opacity = '1';
-            }
-        });
+    if (!bioData || typeof bioData !== 'object' || Array.isArray(bioData)) {
+        result.errors.push({ field: null, message: 'Response is not a JSON object' });
+        return result;
     }
-}
 
-// Create enhanced input for agentic bio generation using Responses API format
-function createEnhancedBioInput(formData, pdfFileIds) {
-    const content = [
-        {
-            type: "input_text",
-            text: `You are an expert Stormlight Archive character creation agent. Research the knowledge base thoroughly to create an authentic, detailed Level 1 character bio for the STONEWALKERS ADVENTURE campaign based on the following information:
+    fields.forEach(field => {
+        const value = bioData[field];
+        if (value === undefined || value === null) {
+            result.errors.push({ field, message: 'missing from the response' });
+        } else if (typeof value !== 'string') {
+            result.errors.push({ field, message: `expected text but got ${Array.isArray(value) ? 'a list' : typeof value}` });
+        } else if (!value.trim()) {
+            result.errors.push({ field, message: 'came back empty' });
+        } else {
+            result.valid[field] = value;
+        }
+    });
 
-🎲 STONEWALKERS ADVENTURE CHARACTER REQUEST:
-⚠️ IMPORTANT: This is a Level 1 character for the pre-everstorm timeline. The everstorm has NOT happened yet. Characters have no stormlight experience or spren bonds.
+    Object.keys(bioData)
+        .filter(key => !fields.includes(key))
+        .forEach(key => {
+            result.errors.push({ field: key, message: 'was not requested and was ignored' });
+        });
 
-CHARACTER SHEET:
-Player Name: ${formData.playerName || 'Not specified'}
-Character Name: ${formData.characterName || 'Not specified'}
-Sex: ${formData.sex || 'Not specified'}
-Level: ${formData.level || 'Not specified'}
-Ancestry: ${formData.ancestry || 'Not specified'}
-Alignment: ${formData.alignment || 'Not specified'}
+    return result;
+}
 
-Attributes:
-- Strength: ${formData.strength || 'Not specified'}
-- Speed: ${formData.speed || 'Not specified'}
-- Intellect: ${formData.intellect || 'Not specified'}
-- Willpower: ${formData.willpower || 'Not specified'}
-- Awareness: ${formData.awareness || 'Not specified'}
-- Presence: ${formData.presence || 'Not specified'}
+// Cosmere RPG rules - stats derived from attributes and level (Stormlight Handbook)
+const ATTRIBUTE_FIELDS = ['strength', 'speed', 'intellect', 'willpower', 'awareness', 'presence'];
+
+const ATTRIBUTE_LABELS = {
+    strength: 'Strength',
+    speed: 'Speed',
+    intellect: 'Intellect',
+    willpower: 'Willpower',
+    awareness: 'Awareness',
+    presence: 'Presence'
+};
+
+// Score tables: the first row whose max covers the attribute score applies
+const LIFTING_CAPACITY_TABLE = [
+    { max: 0, value: '100 lb.' },
+    { max: 2, value: '200 lb.' },
+    { max: 4, value: '500 lb.' },
+    { max: 6, value: '1,000 lb.' },
+    { max: 8, value: '5,000 lb.' },
+    { max: Infinity, value: '10,000 lb.' }
+];
 
-Stats:
-- Health: ${formData.health || 'Not specified'}
-- Focus: ${formData.focus || 'Not specified'}
-- Marks: ${formData.marks || 'Not specified'}
-- Lifting Capacity: ${formData.liftingCapacity || 'Not specified'}
-- Movement: ${formData.movement || 'Not specified'}
-- Recovery Die: ${formData.recoveryDie || 'Not specified'}
-- Senses Range: ${formData.sensesRange || 'Not specified'}
+const MOVEMENT_TABLE = [
+    { max: 0, value: '20 ft.' },
+    { max: 2, value: '25 ft.' },
+    { max: 4, value: '30 ft.' },
+    { max: 6, value: '40 ft.' },
+    { max: 8, value: '60 ft.' },
+    { max: Infinity, value: '80 ft.' }
+];
 
-Other Details:
-- Conditions & Injuries: ${formData.conditionsInjuries || 'None specified'}
-- Expertises: ${formData.expertises || 'Not specified'}
-- Talents: ${formData.talents || 'Not specified'}
-- Weapons: ${formData.weapons || 'Not specified'}
-- Armor & Equipment: ${formData.armorEquipment || 'Not specified'}
-- Connections: ${formData.connections || 'Not specified'}
+const RECOVERY_DIE_TABLE = [
+    { max: 0, value: 'd4' },
+    { max: 2, value: 'd6' },
+    { max: 4, value: 'd8' },
+    { max: 6, value: 'd10' },
+    { max: 8, value: 'd12' },
+    { max: Infinity, value: 'd20' }
+];
 
-🎭 EXISTING CHARACTER ELEMENTS (enhance/expand these):
-- Appearance: ${formData.appearance || 'Research and generate based on ancestry/region and Character Sheet details.'}
-- Background: ${formData.background || 'Research cultural background and create detailed history, at least 2 paragraphs long'}
-- Personality: ${formData.personality || 'Generate based on cultural norms and personal experiences'}
-- Affiliations: ${formData.affiliations || 'Research relevant organizations and create connections'}
-- Catchphrase: ${formData.catchphrase || 'Create culturally appropriate saying'}
-- Language Quirks: ${formData.languageQuirks || 'Research regional speech patterns'}
-- Superstitions: ${formData.superstitions || 'Research cultural beliefs and practices'}
-- Diet: ${formData.diet || 'Research regional food culture and preferences'}
-- Secrets: ${formData.secrets || 'Create meaningful secrets tied to world lore'}
-- Character Flaws: ${formData.characterFlaws || 'Generate flaws that create story potential'}
-- What Excites: ${formData.whatExcites || 'Connect to broader world themes and conflicts'}
-- Dynamic Goals: ${formData.dynamicGoals || 'Create goals that can evolve with campaign'}
-- Most Want: ${formData.mostWant || 'Generate desires reflecting cultural values'}
-- Won't Do: ${formData.wontDo || 'Create moral boundaries based on background'}
+const SENSES_RANGE_TABLE = [
+    { max: 0, value: '5 ft.' },
+    { max: 2, value: '10 ft.' },
+    { max: 4, value: '20 ft.' },
+    { max: 6, value: '50 ft.' },
+    { max: 8, value: '100 ft.' },
+    { max: Infinity, value: 'Unaffected by obscured senses' }
+];
 
-🔍 RESEARCH INSTRUCTIONS:
-1. If ancestry is specified, research that culture's customs, appearance, and social norms
-2. If no ancestry is given, research various Rosharan cultures and select an appropriate one
-3. Look up relevant geographical regions, their characteristics, and how they shape inhabitants
-4. Research historical events, conflicts, and social issues that could inform the character's background (PRE-EVERSTORM)
-5. Find examples of naming conventions, cultural practices, and typical occupations for Level 1 adventurers
-6. Search for information about relevant organizations, religions, or social groups
-7. If alignment is specified, ensure character traits, motivations, and moral choices reflect that alignment
-8. Remember this character is just starting their adventure - no stormlight powers or spren bonds
-9. Use all research to create a character that feels authentically part of the traditional Stormlight Archive world
+// Health starts at 10 + Strength; each tier adds a fixed amount per level,
+// and the first level of each new tier adds Strength again
+const HEALTH_BASE = 10;
+const HEALTH_TIERS = [
+    { from: 2, to: 5, perLevel: 5, addsStrength: false },
+    { from: 6, to: 10, perLevel: 4, addsStrength: true },
+    { from: 11, to: 15, perLevel: 3, addsStrength: true },
+    { from: 16, to: 20, perLevel: 2, addsStrength: true },
+    { from: 21, to: Infinity, perLevel: 1, addsStrength: true }
+];
 
-Generate a comprehensive, research-backed Level 1 character for the Stonewalkers Adventure that demonstrates deep knowledge of pre-everstorm Roshar's cultures, history, and social structures.` }
-    ];
+const FOCUS_BASE = 2;
 
-    // Add all successfully uploaded PDF files
-    if (pdfFileIds && pdfFileIds.length > 0) {
-        pdfFileIds.forEach(fileId => {
-            content.push({
-                type: "input_file",
-                file_id: fileId
-            });
-        });
-    }
+// Derived stat -> the attribute its table is keyed on
+const DERIVED_STAT_TABLES = {
+    liftingCapacity: { attribute: 'strength', table: LIFTING_CAPACITY_TABLE },
+    movement: { attribute: 'speed', table: MOVEMENT_TABLE },
+    recoveryDie: { attribute: 'willpower', table: RECOVERY_DIE_TABLE },
+    sensesRange: { attribute: 'awareness', table: SENSES_RANGE_TABLE }
+};
 
-    return [{
-        role: "user",
-        content: content
-    }];
+const DERIVED_STAT_FIELDS = ['health', 'focus', 'liftingCapacity', 'movement', 'recoveryDie', 'sensesRange'];
+
+// Whole-number score from a form value, or null if blank/invalid
+function parseScore(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const score = Number(value);
+    return Number.isInteger(score) ? score : null;
 }
 
-// Handle field edits (visual state only, no version creation)
-function onFieldEdit(field) {
-    const element = document.getElementById(field);
-    if (element) {
-        // Remove purple background when user edits
-        element.classList.remove('ai-generated');
-        element.classList.add('user-edited');
-    }
+function lookupScoreTable(table, score) {
+    return table.find(row => score <= row.max).value;
 }
 
-// Save AI-generated version with proper original state capture
-function saveAIVersionWithOriginal(field, originalValue, aiValue) {
-    const history = fieldHistory[field];
+function computeMaxHealth(strength, level) {
+    let health = HEALTH_BASE + strength;
+    const parts = [`${HEALTH_BASE} + Strength ${strength}`];
+
+    HEALTH_TIERS.forEach(tier => {
+        const levelsInTier = Math.min(level, tier.to) - tier.from + 1;
+        if (levelsInTier <= 0) return;
+
+        health += levelsInTier * tier.perLevel;
+        const lastLevel = Math.min(level, tier.to);
+        const levelRange = lastLevel === tier.from ? `level ${tier.from}` : `levels ${tier.from}–${lastLevel}`;
+        parts.push(`${levelsInTier}×${tier.perLevel} (${levelRange})`);
+        if (tier.addsStrength) {
+            health += strength;
+            parts.push(`Strength ${strength} (level ${tier.from})`);
+        }
+    });
+
+    return { value: String(health), source: parts.join(' + ') };
+}
 
-    console.log('Saving versions for ' + field + ':', {
-        originalValue: '"' + originalValue + '"',
-        aiValue: '"' + aiValue + '"',
-        historyLength: history.length
+// Compute every derived stat the form has enough information for.
+// Returns { field: { value, source } }; fields missing an attribute are left out.
+function computeDerivedStats(formData) {
+    const stats = {};
+    const scores = {};
+    ATTRIBUTE_FIELDS.forEach(attribute => {
+        scores[attribute] = parseScore(formData[attribute]);
     });
 
-    // Always save the original state as version 1 if history is empty
-    if (history.length === 0) {
-        const version1 = {
-            value: originalValue,
-            timestamp: new Date(),
-            type: originalValue.trim() ? 'user' : 'blank'
-        };
-        history.push(version1);
-        console.log('Added version 1 for ' + field + ':', version1);
-    } else {
-        // Save original value if it's different from the last saved version
-        const lastVersion = history[history.length - 1];
-        if (originalValue !== lastVersion.value) {
-            const newVersion = {
-                value: originalValue,
-                timestamp: new Date(),
-                type: originalValue.trim() ? 'user' : 'blank'
-            };
-            history.push(newVersion);
-            console.log('Added intermediate version for ' + field + ':', newVersion);
+    const level = parseScore(formData.level);
+    if (scores.strength !== null) {
+        stats.health = computeMaxHealth(scores.strength, level && level > 0 ? level : 1);
+        if (!level) {
+            stats.health.source += ' (assuming level 1)';
         }
     }
 
-    // Only add AI version if it's different from the last version
-    const lastVersion = history[history.length - 1];
-    if (aiValue !== lastVersion.value) {
-        const aiVersion = {
-            value: aiValue,
-            timestamp: new Date(),
-            type: 'ai'
+    if (scores.willpower !== null) {
+        stats.focus = {
+            value: String(FOCUS_BASE + scores.willpower),
+            source: `${FOCUS_BASE} + Willpower ${scores.willpower}`
         };
-        history.push(aiVersion);
-        console.log('Added AI version for ' + field + ':', aiVersion);
     }
 
-    console.log('Final history for ' + field + ':', history);
+    Object.keys(DERIVED_STAT_TABLES).forEach(field => {
+        const { attribute, table } = DERIVED_STAT_TABLES[field];
+        if (scores[attribute] !== null) {
+            stats[field] = {
+                value: lookupScoreTable(table, scores[attribute]),
+                source: `${ATTRIBUTE_LABELS[attribute]} ${scores[attribute]}`
+            };
+        }
+    });
 
-    // Update current index to the latest version
-    currentVersionIndex[field] = history.length - 1;
-    updateVersionControls(field);
+    return stats;
 }
 
-// Legacy function for backward compatibility
-function saveAIVersion(field, value) {
-    const element = document.getElementById(field);
-    const originalValue = element ? element.value : '';
-    saveAIVersionWithOriginal(field, originalValue, value);
+// A derived field counts as overridden when it holds a value the rules didn't produce
+function inferDerivedOverrides(formData) {
+    const computed = computeDerivedStats(formData);
+    return DERIVED_STAT_FIELDS.filter(field => {
+        const value = (formData[field] || '').trim();
+        return value && (!computed[field] || computed[field].value !== value);
+    });
 }
 
-// Navigate between versions
-function navigateVersion(field, direction) {
-    const history = fieldHistory[field];
-    if (history.length <= 1) return;
+// Describe a derived stat for prompts and exports, flagging player overrides
+function describeDerivedStat(field, formData, overrides) {
+    const value = formData[field] || 'Not specified';
+    const computed = computeDerivedStats(formData)[field];
 
-    const newIndex = currentVersionIndex[field] + direction;
-    if (newIndex >= 0 && newIndex < history.length) {
-        currentVersionIndex[field] = newIndex;
-        const element = document.getElementById(field);
+    if (overrides.includes(field)) {
+        return computed ? `${value} (player override; rules give ${computed.value})` : `${value} (player override)`;
+    }
+    return computed ? `${value} (computed: ${computed.source})` : value;
+}
 
-        // Set value exactly as stored, including empty strings and null
-        const storedValue = history[newIndex].value;
-        const newValue = storedValue === null || storedValue === undefined ? '' : storedValue;
+// Build rules - attribute budget, caps and defences
+const STARTING_ATTRIBUTE_POINTS = 12;
 
-        console.log('Navigating ' + field + ' to version ' + (newIndex + 1) + ':', {
-            storedValue: '"' + storedValue + '"',
-            newValue: '"' + newValue + '"',
-            type: history[newIndex].type
-        });
+// Each of these levels grants one more attribute point
+const ATTRIBUTE_INCREASE_LEVELS = [3, 6, 9, 12, 15, 18];
 
-        // Multiple approaches to ensure the value updates
-        element.value = newValue;
-        element.setAttribute('value', newValue);
+// Highest score any single attribute may have, by character level
+const ATTRIBUTE_CAPS = [
+    { maxLevel: 2, cap: 3 },
+    { maxLevel: 5, cap: 4 },
+    { maxLevel: Infinity, cap: 5 }
+];
 
-        // Force visual update by triggering multiple events
-        element.dispatchEvent(new Event('input', { bubbles: true }));
-        element.dispatchEvent(new Event('change', { bubbles: true }));
+const MAX_LEVEL = 21;
 
-        // Force DOM update
-        requestAnimationFrame(() => {
-            element.value = newValue;
-            console.log('After requestAnimationFrame, ' + field + ' value is: "' + element.value + '"');
-        });
+const DEFENCE_BASE = 10;
+const DEFENCES = {
+    physicalDefence: { label: 'Physical', attributes: ['strength', 'speed'] },
+    cognitiveDefence: { label: 'Cognitive', attributes: ['intellect', 'willpower'] },
+    spiritualDefence: { label: 'Spiritual', attributes: ['awareness', 'presence'] }
+};
 
-        // Update visual state
-        updateFieldVisualState(field, history[newIndex].type);
-        updateVersionControls(field);
-    }
-}
+const REQUIRED_SHEET_FIELDS = ['characterName', 'level', 'ancestry', ...ATTRIBUTE_FIELDS];
 
-// Update version controls display
-function updateVersionControls(field) {
-    const history = fieldHistory[field];
-    const versionControls = document.getElementById(`${field}-versions`);
-    const counter = document.getElementById(`${field}-counter`);
-    const prevBtn = document.getElementById(`${field}-prev`);
-    const nextBtn = document.getElementById(`${field}-next`);
+const SHEET_FIELD_LABELS = {
+    characterName: 'Character Name',
+    level: 'Level',
+    ancestry: 'Ancestry',
+    ...ATTRIBUTE_LABELS
+};
 
-    if (history.length > 1) {
-        versionControls.style.display = 'flex';
-        counter.textContent = `${currentVersionIndex[field] + 1}/${history.length}`;
+function attributePointBudget(level) {
+    return STARTING_ATTRIBUTE_POINTS + ATTRIBUTE_INCREASE_LEVELS.filter(increase => increase <= level).length;
+}
 
-        // Enable/disable navigation buttons
-        prevBtn.disabled = currentVersionIndex[field] === 0;
-        nextBtn.disabled = currentVersionIndex[field] === history.length - 1;
-    } else {
-        versionControls.style.display = 'none';
-    }
+function attributeCap(level) {
+    return ATTRIBUTE_CAPS.find(row => level <= row.maxLevel).cap;
 }
 
-// Update visual state of field
-function updateFieldVisualState(field, type) {
-    const element = document.getElementById(field);
+// Defences are 10 plus a pair of attributes; left out while either is blank
+function computeDefences(formData) {
+    const defences = {};
+    Object.keys(DEFENCES).forEach(defence => {
+        const { attributes } = DEFENCES[defence];
+        const scores = attributes.map(attribute => parseScore(formData[attribute]));
+        if (scores.some(score => score === null)) return;
+
+        defences[defence] = {
+            value: DEFENCE_BASE + scores[0] + scores[1],
+            source: `${DEFENCE_BASE} + ${attributes.map((attribute, i) => `${ATTRIBUTE_LABELS[attribute]} ${scores[i]}`).join(' + ')}`
+        };
+    });
+    return defences;
+}
 
-    if (type === 'ai') {
-        element.classList.add('ai-generated');
-        element.classList.remove('user-edited');
-    } else {
-        element.classList.remove('ai-generated');
-        element.classList.add('user-edited');
+// Check the character sheet is a legal build.
+// Returns { errors: [{field, message}], warnings: [{field, message}] };
+// field is null for problems with the build as a whole.
+function validateCharacterBuild(formData) {
+    const errors = [];
+    const warnings = [];
+
+    REQUIRED_SHEET_FIELDS.forEach(field => {
+        if (!String(formData[field] || '').trim()) {
+            errors.push({ field, message: `${SHEET_FIELD_LABELS[field]} is required.`, required: true });
+        }
+    });
+
+    const level = parseScore(formData.level);
+    if (String(formData.level || '').trim() && (level === null || level < 1 || level > MAX_LEVEL)) {
+        errors.push({ field: 'level', message: `Level must be a whole number from 1 to ${MAX_LEVEL}.` });
     }
+    const validLevel = level !== null && level >= 1 && level <= MAX_LEVEL ? level : 1;
+    const cap = attributeCap(validLevel);
+
+    let spent = 0;
+    let allScored = true;
+    ATTRIBUTE_FIELDS.forEach(attribute => {
+        const raw = String(formData[attribute] || '').trim();
+        const score = parseScore(raw);
+        if (!raw) {
+            allScored = false;
+            return;
+        }
+        if (score === null || score < 0) {
+            errors.push({ field: attribute, message: `${ATTRIBUTE_LABELS[attribute]} must be a whole number of 0 or more.` });
+            allScored = false;
+            return;
+        }
+        if (score > cap) {
+            errors.push({ field: attribute, message: `${ATTRIBUTE_LABELS[attribute]} can be at most ${cap} at level ${validLevel}.` });
+        }
+        spent += score;
+    });
+
+    const budget = attributePointBudget(validLevel);
+    if (spent > budget) {
+        errors.push({ field: null, message: `${spent} attribute points spent; a level ${validLevel} character has ${budget}.` });
+    } else if (allScored && spent < budget) {
+        warnings.push({ field: null, message: `${budget - spent} of ${budget} attribute points unspent.` });
+    }
+
+    return { errors, warnings };
 }
 
-// Update bio fields with AI-generated content
-function updateBioFields(bioData) {
-    BIO_FIELDS.forEach(field => {
-        if (bioData[field]) {
-            const element = document.getElementById(field);
+function describeDefences(formData) {
+    const defences = computeDefences(formData);
+    const parts = Object.keys(DEFENCES)
+        .filter(defence => defences[defence])
+        .map(defence => `${DEFENCES[defence].label} ${defences[defence].value}`);
+    return parts.length ? parts.join(', ') : 'Not specified';
+}
 
-            if (element) {
-                // FIRST: Capture the original state before changing anything
-                const originalValue = element.value;
+// DOM elements
+const generateBioBtn = document.getElementById('generateBio');
+const generateImageBtn = document.getElementById('generateImage');
+const downloadBioBtn = document.getElementById('downloadBio');
+const imageContainer = document.getElementById('imageContainer');
+const characterImage = document.getElementById('characterImage');
+const helpButton = document.getElementById('helpButton');
+const helpModal = document.getElementById('helpModal');
+const closeModal = document.getElementById('closeModal');
+const refineImageBtn = document.getElementById('refineImage');
+const cancelGenerationBtn = document.getElementById('cancelGeneration');
+const cancelImageBtn = document.getElementById('cancelImage');
+const imageInstructions = document.getElementById('imageInstructions');
+const referenceImage = document.getElementById('referenceImage');
+const regenerateSelectedBtn = document.getElementById('regenerateSelected');
 
-                // Save versions in correct order
-                saveAIVersionWithOriginal(field, originalValue, bioData[field]);
+// Blob behind the portrait currently on screen
+let currentPortraitBlob = null;
 
-                // THEN: Update with AI content
-                element.value = bioData[field];
+// Track current version index for each field
+const currentVersionIndex = {};
+BIO_FIELDS.forEach(field => {
+    currentVersionIndex[field] = 0;
+});
 
-                // Update visual state
-                updateFieldVisualState(field, 'ai');
-            }
-        }
-    });
-}
+// Event listeners
+generateBioBtn.addEventListener('click', generateBio);
+generateImageBtn.addEventListener('click', generateImage);
+downloadBioBtn.addEventListener('click', downloadBio);
+refineImageBtn.addEventListener('click', refineImage);
+cancelGenerationBtn.addEventListener('click', cancelBioGeneration);
+cancelImageBtn.addEventListener('click', cancelImageGeneration);
+regenerateSelectedBtn.addEventListener('click', () => regenerateFields(getSelectedFields()));
 
-// Generate character image using GPT-Image-1 via Responses API
-async function generateImage() {
-    // Initialize API key if not already done
-    if (!OPENAI_API_KEY) {
-        await initializeAPIKey();
+// Help modal functionality
+helpButton.addEventListener('click', () => {
+    helpModal.style.display = 'flex';
+    document.body.style.overflow = 'hidden'; // Prevent background scrolling
+});
+
+closeModal.addEventListener('click', () => {
+    helpModal.style.display = 'none';
+    document.body.style.overflow = 'auto'; // Restore scrolling
+});
+
+// Close modal when clicking outside of it
+helpModal.addEventListener('click', (e) => {
+    if (e.target === helpModal) {
+        helpModal.style.display = 'none';
+        document.body.style.overflow = 'auto';
     }
+});
 
-    if (!OPENAI_API_KEY) {
-        alert('API key not configured. Please set your OpenAI API key in the script.');
-        return;
+// Close modal with Escape key
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && helpModal.style.display === 'flex') {
+        helpModal.style.display = 'none';
+        document.body.style.overflow = 'auto';
     }
+});
 
-    const formData = collectFormData();
+// Initialize alignment grid
+const alignmentGrid = document.getElementById('alignmentGrid');
+const alignmentInput = document.getElementById('alignment');
 
-    generateImageBtn.disabled = true;
-    generateImageBtn.textContent = 'Generating...';
+if (alignmentGrid && alignmentInput) {
+    alignmentGrid.addEventListener('click', (e) => {
+        const tile = e.target.closest('.alignment-tile');
+        if (!tile) return;
 
-    try {
-        const imagePrompt = createImagePrompt(formData);
+        const alignment = tile.dataset.alignment;
+        const isSelected = tile.classList.contains('selected');
 
-        const response = await fetch(OPENAI_RESPONSES_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-5-nano',
-                input: imagePrompt,
-                tools: [{
-                    type: "image_generation"
-                }]
-            })
+        // Clear all selections
+        alignmentGrid.querySelectorAll('.alignment-tile').forEach(t => {
+            t.classList.remove('selected');
         });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Image generation failed: ${response.status} - ${errorText}`);
+        // If it wasn't selected, select it
+        if (!isSelected) {
+            tile.classList.add('selected');
+            alignmentInput.value = alignment;
+        } else {
+            // If it was selected, unselect it
+            alignmentInput.value = '';
         }
+    });
+}
 
-        const data = await response.json();
+// Derived stats - computed live from attributes and level unless the player overrides them
+const derivedOverrides = new Set();
 
-        // Find the image generation result in the output
-        const imageOutput = data.output?.find(item => item.type === 'image_generation_call');
-        if (imageOutput && imageOutput.result) {
-            // Convert base64 to blob URL for display
-            const base64Data = imageOutput.result;
-            const byteCharacters = atob(base64Data);
-            const byteNumbers = new Array(byteCharacters.length);
-            for (let i = 0; i < byteCharacters.length; i++) {
-                byteNumbers[i] = byteCharacters.charCodeAt(i);
-            }
-            const byteArray = new Uint8Array(byteNumbers);
-            const blob = new Blob([byteArray], { type: 'image/png' });
-            const imageUrl = URL.createObjectURL(blob);
+DERIVED_STAT_FIELDS.forEach(field => {
+    const element = document.getElementById(field);
+    if (!element) return;
 
-            // Display the generated image
-            characterImage.src = imageUrl;
-            imageContainer.style.display = 'grid'; //GRID, not BLOCK!!!
-        } else {
-            throw new Error('No image found in response');
-        }
+    const source = document.createElement('small');
+    source.className = 'derived-source';
+    source.id = `${field}-source`;
+    element.parentNode.appendChild(source);
 
-    } catch (error) {
-        console.error('Error generating image:', error);
-        alert(`Error generating image: ${error.message}`);
-    } finally {
-        generateImageBtn.disabled = false;
-        generateImageBtn.textContent = 'Generate Image';
+    element.addEventListener('input', () => onDerivedStatEdit(field));
+});
+
+['level', ...ATTRIBUTE_FIELDS].forEach(field => {
+    const element = document.getElementById(field);
+    if (element) {
+        element.addEventListener('input', refreshDerivedStats);
     }
-}
+});
 
-// Create image generation prompt
-function createImagePrompt(formData, additionalInstructions = '', hasReference = false) {
-    let prompt = `Generate a detailed D&D-style character portrait of ${formData.characterName || 'a character'} from the world of Roshar (Stormlight Archive). A person with ${formData.sex || 'neutral'} features. The character should be depicted in a fantasy art style similar to D&D character portraits, with rich colors and detailed clothing appropriate to the Roshar setting. The background should suggest the world of Roshar with its unique architecture and environment featuring crystalline formations and storm-carved landscapes. High quality, detailed fantasy art, professional illustration style with vibrant colors and dramatic lighting.
-    Appearance: ${formData.appearance}
-    `;
+// Reset an overridden stat back to the rules value (clicks on the inline "use rules" link)
+document.addEventListener('click', (e) => {
+    const resetLink = e.target.closest('.derived-reset');
+    if (!resetLink) return;
+    e.preventDefault();
 
-    if (additionalInstructions) {
-        prompt += ` Additional refining requirements: ${additionalInstructions}`;
-    }
+    derivedOverrides.delete(resetLink.dataset.field);
+    refreshDerivedStats();
+});
 
-    if (hasReference) {
-        prompt += ` Make the character's facial features and overall appearance resemble the provided reference image while maintaining the fantasy art style.`;
+function onDerivedStatEdit(field) {
+    const element = document.getElementById(field);
+    const computed = computeDerivedStats(collectFormData())[field];
+
+    // Typing the rules value back in (or clearing the field) ends the override
+    if (!element.value.trim() || (computed && computed.value === element.value.trim())) {
+        derivedOverrides.delete(field);
+    } else {
+        derivedOverrides.add(field);
     }
+    refreshDerivedStats();
+}
 
-    return prompt;
+// Fill in computed stats and update the "where it came from" captions
+function refreshDerivedStats() {
+    const computed = computeDerivedStats(collectFormData());
+
+    DERIVED_STAT_FIELDS.forEach(field => {
+        const element = document.getElementById(field);
+        const source = document.getElementById(`${field}-source`);
+        if (!element || !source) return;
+
+        const stat = computed[field];
+        const overridden = derivedOverrides.has(field);
+
+        if (!overridden) {
+            element.value = stat ? stat.value : '';
+        }
+
+        element.classList.toggle('stat-overridden', overridden);
+        element.classList.toggle('stat-computed', !overridden && !!stat);
+
+        if (overridden) {
+            source.innerHTML = `Override${stat ? ` · rules give ${stat.value}` : ''} · <a href="#" class="derived-reset" data-field="${field}">use rules</a>`;
+        } else {
+            source.textContent = stat ? `= ${stat.source}` : '';
+        }
+    });
 }
 
-// Refine existing image
-async function refineImage() {
-    // Initialize API key if not already done
-    if (!OPENAI_API_KEY) {
-        await initializeAPIKey();
-    }
+// Build validation - inline messages under each sheet field plus a build summary.
+// Required-field errors only show once a field has been touched or a generation was attempted.
+const touchedSheetFields = new Set();
+let showAllBuildErrors = false;
 
-    if (!OPENAI_API_KEY) {
-        alert('API key not configured. Please set your OpenAI API key in the script.');
-        return;
-    }
+CHARACTER_SHEET_FIELDS.forEach(field => {
+    const element = document.getElementById(field);
+    if (!element || element.type === 'radio') return;
 
+    const message = document.createElement('small');
+    message.className = 'field-message';
+    message.id = `${field}-validation`;
+    element.parentNode.appendChild(message);
+
+    element.addEventListener('input', () => {
+        touchedSheetFields.add(field);
+        refreshBuildValidation();
+    });
+    element.addEventListener('blur', () => {
+        touchedSheetFields.add(field);
+        refreshBuildValidation();
+    });
+});
+
+function refreshBuildValidation() {
     const formData = collectFormData();
-    const additionalInstructions = imageInstructions.value.trim();
-    const referenceFile = referenceImage.files[0];
+    const { errors, warnings } = validateCharacterBuild(formData);
+    const visible = issue => !issue.required || showAllBuildErrors || touchedSheetFields.has(issue.field);
 
-    if (!additionalInstructions && !referenceFile) {
-        alert('Please provide additional instructions or upload a reference image to refine the portrait.');
-        return;
-    }
+    CHARACTER_SHEET_FIELDS.forEach(field => {
+        const message = document.getElementById(`${field}-validation`);
+        if (!message) return;
 
-    refineImageBtn.disabled = true;
-    refineImageBtn.textContent = 'Refining...';
+        const fieldErrors = errors.filter(issue => issue.field === field && visible(issue));
+        const fieldWarnings = warnings.filter(issue => issue.field === field);
+        const group = message.parentNode;
 
-    try {
-        const imagePrompt = createImagePrompt(formData, additionalInstructions, !!referenceFile);
+        group.classList.toggle('has-error', fieldErrors.length > 0);
+        group.classList.toggle('has-warning', !fieldErrors.length && fieldWarnings.length > 0);
+        message.textContent = [...fieldErrors, ...fieldWarnings].map(issue => issue.message).join(' ');
+    });
 
-        // Prepare the input content
-        const content = [
-            {
-                type: "input_text",
-                text: imagePrompt
-            }
-        ];
+    const summary = document.getElementById('buildValidation');
+    const buildIssues = [
+        ...errors.filter(issue => !issue.field).map(issue => ({ ...issue, level: 'error' })),
+        ...warnings.filter(issue => !issue.field).map(issue => ({ ...issue, level: 'warning' }))
+    ];
+    summary.innerHTML = buildIssues
+        .map(issue => `<p class="build-${issue.level}">${issue.level === 'error' ? '⚠️' : 'ℹ️'} ${issue.message}</p>`)
+        .join('');
+    summary.style.display = buildIssues.length ? 'block' : 'none';
+
+    const defences = computeDefences(formData);
+    Object.keys(DEFENCES).forEach(defence => {
+        const output = document.getElementById(defence);
+        const source = document.getElementById(`${defence}-source`);
+        output.textContent = defences[defence] ? defences[defence].value : '—';
+        source.textContent = defences[defence] ? `= ${defences[defence].source}` : '';
+    });
+}
 
-        // Add reference image if provided
-        if (referenceFile) {
-            const base64Image = await fileToBase64(referenceFile);
-            content.push({
-                type: "input_image",
-                image_url: `data:${referenceFile.type};base64,${base64Image}`
-            });
+refreshBuildValidation();
+
+// Initialize version controls and field tracking
+BIO_FIELDS.forEach(field => {
+    const element = document.getElementById(field);
+    const prevBtn = document.getElementById(`${field}-prev`);
+    const nextBtn = document.getElementById(`${field}-next`);
+
+    if (element && prevBtn && nextBtn) {
+        // Track user edits - they become versions once typing pauses or the field loses focus
+        element.addEventListener('input', () => onFieldEdit(field));
+        element.addEventListener('blur', () => commitUserEdit(field));
+
+        // Version navigation
+        prevBtn.addEventListener('click', () => navigateVersion(field, -1));
+        nextBtn.addEventListener('click', () => navigateVersion(field, 1));
+
+        // Add modal expansion for textareas
+        if (element.tagName === 'TEXTAREA') {
+            addModalExpansion(field, element);
         }
 
-        const response = await fetch(OPENAI_RESPONSES_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-5-nano',
-                input: [{
-                    role: "user",
-                    content: content
-                }],
-                tools: [{
-                    type: "image_generation"
-                }]
-            })
-        });
+        addFieldTools(field, element);
+    }
+});
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Image refinement failed: ${response.status} - ${errorText}`);
+// Collect all form data
+function collectFormData() {
+    const formData = {};
+
+    // Character Sheet fields
+    CHARACTER_SHEET_FIELDS.forEach(field => {
+        const element = document.getElementById(field);
+        formData[field] = element ? element.value : '';
+    });
+
+    // Character Bio fields
+    BIO_FIELDS.forEach(field => {
+        const element = document.getElementById(field);
+        formData[field] = element ? element.value : '';
+    });
+
+    return formData;
+}
+
+// Fill the form from a collectFormData() snapshot
+function applyFormData(formData) {
+    [...CHARACTER_SHEET_FIELDS, ...BIO_FIELDS].forEach(field => {
+        const element = document.getElementById(field);
+        if (element) {
+            element.value = formData[field] || '';
         }
+    });
 
-        const data = await response.json();
+    setAlignmentSelection(formData.alignment || '');
+}
 
-        // Find the image generation result in the output
-        const imageOutput = data.output?.find(item => item.type === 'image_generation_call');
-        if (imageOutput && imageOutput.result) {
-            // Convert base64 to blob URL for display
-            const base64Data = imageOutput.result;
-            const byteCharacters = atob(base64Data);
-            const byteNumbers = new Array(byteCharacters.length);
-            for (let i = 0; i < byteCharacters.length; i++) {
-                byteNumbers[i] = byteCharacters.charCodeAt(i);
-            }
-            const byteArray = new Uint8Array(byteNumbers);
-            const blob = new Blob([byteArray], { type: 'image/png' });
-            const imageUrl = URL.createObjectURL(blob);
+// Select an alignment tile without a click (used when loading characters)
+function setAlignmentSelection(alignment) {
+    if (!alignmentGrid || !alignmentInput) return;
 
-            // Display the refined image
-            characterImage.src = imageUrl;
+    alignmentGrid.querySelectorAll('.alignment-tile').forEach(tile => {
+        tile.classList.toggle('selected', tile.dataset.alignment === alignment);
+    });
+    alignmentInput.value = alignment;
+}
 
-            // Clear the refinement inputs
-            imageInstructions.value = '';
-            referenceImage.value = '';
-        } else {
-            throw new Error('No image found in response');
+// Capture everything needed to bring a character back later
+function captureCharacterState() {
+    // Edits still waiting on their debounce belong in the saved history too
+    flushUserEdits();
+
+    const history = {};
+    BIO_FIELDS.forEach(field => {
+        history[field] = fieldHistory[field].map(entry => ({ ...entry }));
+    });
+
+    return {
+        formData: collectFormData(),
+        fieldHistory: history,
+        currentVersionIndex: { ...currentVersionIndex },
+        lockedFields: Array.from(lockedFields),
+        derivedOverrides: Array.from(derivedOverrides),
+        portrait: currentPortraitBlob,
+        portraitHistory: portraitHistory.map(entry => ({ ...entry })),
+        currentPortraitIndex,
+        snapshots: characterSnapshots.map(snapshot => ({ ...snapshot }))
+    };
+}
+
+// Restore a state from captureCharacterState(), rebuilding version controls
+function applyCharacterState(state) {
+    applyFormData(state.formData || {});
+
+    // Older saves have no override list, so work it out from the stored values
+    derivedOverrides.clear();
+    const overrides = state.derivedOverrides || inferDerivedOverrides(state.formData || {});
+    overrides.forEach(field => derivedOverrides.add(field));
+    refreshDerivedStats();
+
+    touchedSheetFields.clear();
+    showAllBuildErrors = false;
+    refreshBuildValidation();
+
+    BIO_FIELDS.forEach(field => {
+        const savedHistory = (state.fieldHistory && state.fieldHistory[field]) || [];
+        fieldHistory[field] = savedHistory.map(entry => ({ ...entry }));
+
+        const lastIndex = Math.max(0, fieldHistory[field].length - 1);
+        const savedIndex = state.currentVersionIndex ? state.currentVersionIndex[field] : lastIndex;
+        currentVersionIndex[field] = Math.min(Math.max(0, savedIndex || 0), lastIndex);
+
+        // Only highlight the field if it still shows the stored version
+        const element = document.getElementById(field);
+        clearTimeout(pendingUserEdits[field]);
+        delete pendingUserEdits[field];
+        committedValues[field] = element ? element.value : '';
+        const currentVersion = fieldHistory[field][currentVersionIndex[field]];
+        if (element && currentVersion && currentVersion.value === element.value) {
+            updateFieldVisualState(field, currentVersion.type);
+        } else if (element) {
+            element.classList.remove('ai-generated', 'user-edited');
         }
 
-    } catch (error) {
-        console.error('Error refining image:', error);
-        alert(`Error refining image: ${error.message}`);
-    } finally {
-        refineImageBtn.disabled = false;
-        refineImageBtn.textContent = 'Refine Image';
+        updateVersionControls(field);
+    });
+
+    // Undo steps belong to the character they were made on
+    clearUndoHistory();
+    characterSnapshots = (state.snapshots || []).map(snapshot => ({ ...snapshot }));
+    renderSnapshots();
+
+    lockedFields.clear();
+    (state.lockedFields || []).forEach(field => {
+        if (BIO_FIELDS.includes(field)) lockedFields.add(field);
+    });
+    BIO_FIELDS.forEach(updateLockDisplay);
+    updateFieldToolsState();
+
+    // Saves from before the gallery only have the one portrait
+    if (state.portraitHistory) {
+        loadPortraitHistory(state.portraitHistory, state.currentPortraitIndex);
+    } else if (state.portrait) {
+        loadPortraitHistory([{ id: createCharacterId(), blob: state.portrait, kind: 'generated', prompt: '', instructions: '', reference: '', createdAt: new Date() }], 0);
+    } else {
+        loadPortraitHistory([], -1);
     }
+
+    // Secondary actions only make sense once there is a bio to work with
+    const hasBio = BIO_FIELDS.some(field => fieldHistory[field].length > 0);
+    generateImageBtn.style.display = hasBio || portraitHistory.length ? 'block' : 'none';
+    downloadBioBtn.style.display = hasBio || portraitHistory.length ? 'block' : 'none';
 }
 
-// Helper function to convert file to base64
-function fileToBase64(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.readAsDataURL(file);
-        reader.onload = () => {
-            const base64 = reader.result.split(',')[1];
-            resolve(base64);
-        };
-        reader.onerror = error => reject(error);
+// Upload the Welcome to Roshar PDF (the only one under 32MB limit)
+// Note: Using pre-uploaded file ID to avoid repeated uploads
+
+// Notifications - toasts for news that needs no answer, banners for problems that belong
+// to one part of the page. Failed requests get a details view and, where it helps, a Retry button.
+const toastStack = document.getElementById('toastStack');
+
+// Errors stay until dismissed; everything else clears itself
+const TOAST_DURATION_MS = { success: 4000, info: 5000, warning: 8000 };
+
+// What an error knows about the request behind it, as [label, value] rows
+function describeErrorDetails(error) {
+    if (!error) return [];
+    const rows = [];
+    if (error.kind) rows.push(['Type', error.kind]);
+    if (error.status) rows.push(['Status', error.status]);
+    if (error.requestId) rows.push(['Request ID', error.requestId]);
+    if (error.responseId) rows.push(['Response ID', error.responseId]);
+    if (error.attempts) rows.push(['Attempts', error.attempts]);
+    return rows;
+}
+
+// Retrying won't get past bad credentials or a request the server rejected
+function isWorthRetrying(error) {
+    return !error || !error.kind || AI_ERROR_KINDS[error.kind].retry;
+}
+
+// notice: { type: 'success' | 'info' | 'warning' | 'error', title, message, items, error,
+//           retry: { label, action } }
+function buildNotice(notice, onDismiss) {
+    const element = document.createElement('div');
+    element.className = `notice notice-${notice.type}`;
+    element.setAttribute('role', notice.type === 'error' ? 'alert' : 'status');
+
+    const body = document.createElement('div');
+    body.className = 'notice-body';
+    if (notice.title) {
+        const title = document.createElement('strong');
+        title.textContent = notice.title;
+        body.appendChild(title);
+    }
+    if (notice.message) {
+        const message = document.createElement('span');
+        message.textContent = notice.message;
+        body.appendChild(message);
+    }
+    if (notice.items && notice.items.length) {
+        const list = document.createElement('ul');
+        notice.items.forEach(item => {
+            const entry = document.createElement('li');
+            entry.textContent = item;
+            list.appendChild(entry);
+        });
+        body.appendChild(list);
+    }
+
+    const rows = describeErrorDetails(notice.error);
+    if (rows.length || (notice.error && notice.error.body)) {
+        const details = document.createElement('details');
+        details.className = 'notice-details';
+        const summary = document.createElement('summary');
+        summary.textContent = 'Technical details';
+        details.appendChild(summary);
+
+        const table = document.createElement('dl');
+        rows.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const definition = document.createElement('dd');
+            definition.textContent = value;
+            table.append(term, definition);
+        });
+        details.appendChild(table);
+
+        if (notice.error.body) {
+            const raw = document.createElement('pre');
+            raw.textContent = notice.error.body;
+            details.appendChild(raw);
+        }
+        body.appendChild(details);
+    }
+    element.appendChild(body);
+
+    const actions = document.createElement('div');
+    actions.className = 'notice-actions';
+    if (notice.retry) {
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.className = 'btn btn-small';
+        retryButton.textContent = notice.retry.label || 'Retry';
+        retryButton.addEventListener('click', () => {
+            onDismiss();
+            notice.retry.action();
+        });
+        actions.appendChild(retryButton);
+    }
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'notice-close';
+    closeButton.setAttribute('aria-label', 'Dismiss');
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', onDismiss);
+    actions.appendChild(closeButton);
+    element.appendChild(actions);
+
+    return element;
+}
+
+function showToast(notice) {
+    const toast = buildNotice(notice, () => toast.remove());
+    toastStack.appendChild(toast);
+    const duration = TOAST_DURATION_MS[notice.type];
+    if (duration) setTimeout(() => toast.remove(), duration);
+    return toast;
+}
+
+// Each slot holds one banner - a newer problem replaces the older one
+function showBanner(slotId, notice) {
+    const slot = document.getElementById(slotId);
+    const banner = buildNotice(notice, () => clearBanner(slotId));
+    slot.replaceChildren(banner);
+    slot.hidden = false;
+    if (banner.scrollIntoView) banner.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    return banner;
+}
+
+function clearBanner(slotId) {
+    const slot = document.getElementById(slotId);
+    slot.replaceChildren();
+    slot.hidden = true;
+}
+
+// A failed operation: what we were doing, what went wrong, and a retry if one could help
+function showErrorBanner(slotId, title, error, retryAction) {
+    return showBanner(slotId, {
+        type: 'error',
+        title,
+        message: error.message,
+        error,
+        retry: retryAction && isWorthRetrying(error) ? { label: 'Retry', action: retryAction } : null
     });
 }
 
-// Download bio as PDF
-async function downloadBio() {
-    const formData = collectFormData();
+// Mobile browser state management
+let generationInProgress = false;
+let currentGenerationAbortController = null;
 
-    downloadBioBtn.disabled = true;
-    downloadBioBtn.textContent = 'Generating PDF...';
+// Image generation and refinement share one controller - only one portrait request runs at a time
+let currentImageAbortController = null;
 
+// Abort the running bio generation; runBioGeneration puts the fields back as they were
+function cancelBioGeneration() {
+    if (!currentGenerationAbortController) return;
+
+    cancelGenerationBtn.disabled = true;
+    document.querySelector('.progress-text').textContent = 'Cancelling...';
+    currentGenerationAbortController.abort();
+}
+
+function cancelImageGeneration() {
+    if (!currentImageAbortController) return;
+
+    cancelImageBtn.disabled = true;
+    currentImageAbortController.abort();
+}
+
+// Show the image cancel button and lock both image actions while a portrait request runs
+function setImageRequestState(running) {
+    if (running) clearBanner('imageNotice');
+    generateImageBtn.disabled = running;
+    refineImageBtn.disabled = running;
+    cancelImageBtn.style.display = running ? 'block' : 'none';
+    cancelImageBtn.disabled = false;
+}
+
+// Prevent mobile browser from sleeping during generation
+let wakeLock = null;
+async function requestWakeLock() {
     try {
-        // Create PDF using jsPDF
-        const { jsPDF } = window.jspdf;
-        const doc = new jsPDF();
+        if ('wakeLock' in navigator) {
+            wakeLock = await navigator.wakeLock.request('screen');
+            console.log('🔒 Screen wake lock acquired');
+        }
+    } catch (err) {
+        console.log('Wake lock not supported or failed:', err);
+    }
+}
 
-        // Set up fonts and colors
-        doc.setFont('helvetica', 'bold');
-        doc.setFontSize(20);
-        doc.setTextColor(44, 90, 160); // Primary color
+async function releaseWakeLock() {
+    if (wakeLock) {
+        try {
+            await wakeLock.release();
+            wakeLock = null;
+            console.log('🔓 Screen wake lock released');
+        } catch (err) {
+            console.log('Wake lock release failed:', err);
+        }
+    }
+}
 
-        // Title
-        const title = formData.characterName || 'Character Bio';
-        doc.text(title, 105, 20, { align: 'center' });
+// Background bio generations - the response keeps running on the server and its id is
+// saved here, so a phone that drops the connection or reloads the page can collect it.
+const PENDING_BIO_KEY = 'roshar-pending-bio';
+const BACKGROUND_POLL_INTERVAL_MS = 3000;
+const FINISHED_RESPONSE_STATUSES = ['completed', 'incomplete', 'failed', 'cancelled'];
 
-        // Add character image if available - high quality and properly sized
-        let yPosition = 40;
-        let imageHeight = 0;
-        if (characterImage.src && !characterImage.src.includes('data:')) {
-            try {
-                // Convert image to base64 for PDF with maximum quality
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-                const img = new Image();
-                img.crossOrigin = 'anonymous';
-
-                await new Promise((resolve, reject) => {
-                    img.onload = () => {
-                        // Ultra high quality canvas for crisp PDF images
-                        const aspectRatio = img.width / img.height;
-                        let canvasWidth = 1200; // Ultra high resolution
-                        let canvasHeight = 1200;
-
-                        if (aspectRatio > 1) {
-                            canvasHeight = canvasWidth / aspectRatio;
-                        } else {
-                            canvasWidth = canvasHeight * aspectRatio;
-                        }
-
-                        canvas.width = canvasWidth;
-                        canvas.height = canvasHeight;
-
-                        // Use high-quality image rendering
-                        ctx.imageSmoothingEnabled = true;
-                        ctx.imageSmoothingQuality = 'high';
-                        ctx.drawImage(img, 0, 0, canvasWidth, canvasHeight);
-                        const imageData = canvas.toDataURL('image/png'); // PNG for maximum quality
-
-                        // Larger, properly sized image for professional look
-                        const pdfWidth = 80; // Larger size
-                        const pdfHeight = 80 / aspectRatio;
-                        imageHeight = pdfHeight;
-
-                        doc.addImage(imageData, 'PNG', 20, yPosition, pdfWidth, pdfHeight);
-                        resolve();
-                    };
-                    img.onerror = reject;
-                    img.src = characterImage.src;
-                });
-            } catch (error) {
-                console.log('Could not add image to PDF:', error);
+function loadPendingBioJob() {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_BIO_KEY) || 'null');
+    } catch (error) {
+        console.warn('Could not read pending bio generation:', error);
+        return null;
+    }
+}
+
+function savePendingBioJob(job) {
+    try {
+        localStorage.setItem(PENDING_BIO_KEY, JSON.stringify(job));
+    } catch (error) {
+        // Without the record a reload can't resume, but this tab can still finish
+        console.warn('Could not save pending bio generation:', error);
+    }
+}
+
+function clearPendingBioJob() {
+    localStorage.removeItem(PENDING_BIO_KEY);
+}
+
+// Poll a background response until it finishes. Network failures are expected here
+// (that's why we're polling), so they only mean "try again shortly".
+async function pollBackgroundResponse(provider, settings, responseId, signal, onProgress) {
+    while (true) {
+        let data = null;
+        let response = null;
+        let requestError = null;
+        try {
+            response = await provider.retrieveResponse(responseId, settings, signal);
+            if (response.ok) {
+                data = await response.json();
+            } else if (response.status !== 404) {
+                requestError = await errorFromResponse(response);
             }
+        } catch (error) {
+            if (signal.aborted) throw error;
+            requestError = errorFromException(error, false);
         }
 
-        // Character Sheet Section with proper text wrapping around image
-        doc.setFont('helvetica', 'bold');
-        doc.setFontSize(16);
-        doc.setTextColor(139, 69, 19); // Secondary color
-        doc.text('Character Sheet', 20, yPosition - 10);
-        yPosition += 10;
-
-        doc.setFont('helvetica', 'normal');
-        doc.setFontSize(10);
-        doc.setTextColor(0, 0, 0);
-
-        // Text wrapping around image - calculate positions
-        const imageWidth = 80;
-        const textStartX = imageHeight > 0 ? 20 + imageWidth + 15 : 20; // Start text to right of image with padding
-        const textWidth = 190 - imageWidth - 15; // Remaining width for text
-        const imageBottomY = yPosition + imageHeight;
-
-        const characterInfo = [
-            `Player: ${formData.playerName || 'N/A'}`,
-            `Sex: ${formData.sex || 'N/A'}`,
-            `Level: ${formData.level || 'N/A'}`,
-            `Ancestry: ${formData.ancestry || 'N/A'}`
-        ];
-
-        // Place character info next to image if image exists
-        const infoStartX = imageHeight > 0 ? textStartX : 20;
-        characterInfo.forEach(info => {
-            doc.text(info, infoStartX, yPosition);
-            yPosition += 6;
-        });
+        if (response && response.status === 404) {
+            throw new Error('The background generation could not be found - it may have expired');
+        }
 
-        yPosition += 5;
-
-        // Attributes next to image
-        doc.setFont('helvetica', 'bold');
-        doc.setFontSize(12);
-        doc.text('Attributes', infoStartX, yPosition);
-        yPosition += 8;
-
-        doc.setFont('helvetica', 'normal');
-        doc.setFontSize(10);
-
-        const attributes = [
-            `Strength: ${formData.strength || 'N/A'}`,
-            `Speed: ${formData.speed || 'N/A'}`,
-            `Intellect: ${formData.intellect || 'N/A'}`,
-            `Willpower: ${formData.willpower || 'N/A'}`,
-            `Awareness: ${formData.awareness || 'N/A'}`,
-            `Presence: ${formData.presence || 'N/A'}`
-        ];
-
-        // Display attributes in single column next to image
-        attributes.forEach(attr => {
-            doc.text(attr, infoStartX, yPosition);
-            yPosition += 6;
-        });
+        // Transient failures just mean we ask again next time; the rest won't fix themselves
+        if (requestError) {
+            console.warn(`Polling ${responseId} failed (${requestError.kind}):`, requestError.message);
+            if (!AI_ERROR_KINDS[requestError.kind] || !AI_ERROR_KINDS[requestError.kind].retry) throw requestError;
+        }
 
-        // Ensure we're below the image before continuing
-        if (imageHeight > 0) {
-            yPosition = Math.max(yPosition, imageBottomY + 10);
-        }
-
-        // Other stats in full width below image
-        yPosition += 10;
-        doc.setFont('helvetica', 'bold');
-        doc.setFontSize(12);
-        doc.text('Other Details', 20, yPosition);
-        yPosition += 8;
-
-        doc.setFont('helvetica', 'normal');
-        doc.setFontSize(10);
-
-        const otherStats = [
-            `Health: ${formData.health || 'N/A'}`,
-            `Focus: ${formData.focus || 'N/A'}`,
-            `Marks: ${formData.marks || 'N/A'}`,
-            `Lifting Capacity: ${formData.liftingCapacity || 'N/A'}`,
-            `Movement: ${formData.movement || 'N/A'}`,
-            `Recovery Die: ${formData.recoveryDie || 'N/A'}`,
-            `Senses Range: ${formData.sensesRange || 'N/A'}`,
-            `Expertises: ${formData.expertises || 'N/A'}`,
-            `Talents: ${formData.talents || 'N/A'}`
-        ];
-
-        // Display other stats in two columns
-        for (let i = 0; i < otherStats.length; i += 2) {
-            doc.text(otherStats[i], 20, yPosition);
-            if (otherStats[i + 1]) {
-                doc.text(otherStats[i + 1], 110, yPosition);
+        if (data && FINISHED_RESPONSE_STATUSES.includes(data.status)) {
+            if (data.status === 'failed') {
+                throw new Error(`Generation failed: ${data.error ? data.error.message : 'unknown error'}`);
             }
-            yPosition += 6;
-        }
-
-        yPosition += 10;
-
-        // Add page break before Character Bio
-        doc.addPage();
-        yPosition = 20;
-
-        // Character Bio Section
-        doc.setFont('helvetica', 'bold');
-        doc.setFontSize(16);
-        doc.setTextColor(139, 69, 19);
-        doc.text('Character Bio', 20, yPosition);
-        yPosition += 10;
-
-        // Bio fields
-        const bioSections = [
-            { label: 'Appearance', value: formData.appearance },
-            { label: 'Background', value: formData.background },
-            { label: 'Personality', value: formData.personality },
-            { label: 'Affiliations', value: formData.affiliations },
-            { label: 'Catchphrase', value: formData.catchphrase },
-            { label: 'Language Quirks', value: formData.languageQuirks },
-            { label: 'Superstitions', value: formData.superstitions },
-            { label: 'Diet', value: formData.diet },
-            { label: 'Secrets', value: formData.secrets },
-            { label: 'Character Flaws', value: formData.characterFlaws },
-            { label: 'What Excites', value: formData.whatExcites },
-            { label: 'Dynamic Goals', value: formData.dynamicGoals },
-            { label: 'Most Want', value: formData.mostWant },
-            { label: 'Won\'t Do', value: formData.wontDo }
-        ];
-
-        doc.setFont('helvetica', 'normal');
-        doc.setFontSize(10);
-        doc.setTextColor(0, 0, 0);
-
-        bioSections.forEach(section => {
-            if (section.value && section.value.trim()) {
-                // Check if we need a new page
-                if (yPosition > 250) {
-                    doc.addPage();
-                    yPosition = 20;
-                }
+            if (data.status === 'cancelled') {
+                throw new Error('The generation was cancelled on the server');
+            }
+            return data;
+        }
 
-                // Section label
-                doc.setFont('helvetica', 'bold');
-                doc.text(`${section.label}:`, 20, yPosition);
-                yPosition += 6;
+        onProgress(10, data && data.status === 'queued' ? 'Waiting in the queue' : 'AI agent is working in the background');
+        await delay(BACKGROUND_POLL_INTERVAL_MS, signal);
+    }
+}
 
-                // Section content with text wrapping
-                doc.setFont('helvetica', 'normal');
-                const lines = doc.splitTextToSize(section.value, 170);
-                doc.text(lines, 20, yPosition);
-                yPosition += lines.length * 5 + 5;
-            }
-        });
+// Pick up a generation that was still running when the page was closed or reloaded
+async function resumePendingBioGeneration() {
+    const job = loadPendingBioJob();
+    if (!job) return;
 
-        // Save the PDF
-        const fileName = `${formData.characterName || 'Character'}_Bio.pdf`;
-        doc.save(fileName);
+    const provider = AI_PROVIDERS[job.settings.provider];
+    if (!provider || !provider.supportsBackground) {
+        clearPendingBioJob();
+        return;
+    }
 
-    } catch (error) {
-        console.error('Error generating PDF:', error);
-        // Fallback to print dialog
-        const bioContent = createBioDocument(formData);
-        const printWindow = window.open('', '_blank');
-        printWindow.document.write(bioContent);
-        printWindow.document.close();
-        setTimeout(() => {
-            printWindow.print();
-        }, 500);
-    } finally {
-        downloadBioBtn.disabled = false;
-        downloadBioBtn.textContent = 'Download Bio';
+    // Put the character back as it was when the generation started; portraits
+    // aren't kept in the job, so take them from the roster if the character was saved
+    let portrait = null;
+    let portraits = null;
+    let portraitIndex = -1;
+    let savedSnapshots = [];
+    if (job.characterId) {
+        try {
+            const record = await getRosterCharacter(job.characterId);
+            portrait = record ? record.state.portrait : null;
+            portraits = record ? record.state.portraitHistory : null;
+            portraitIndex = record ? record.state.currentPortraitIndex : -1;
+            savedSnapshots = (record && record.state.snapshots) || [];
+        } catch (error) {
+            console.warn('Could not load the saved portrait:', error);
+        }
+    }
+    const snapshots = (job.state.snapshots || []).map(snapshot => {
+        const saved = savedSnapshots.find(entry => entry.id === snapshot.id);
+        return { ...snapshot, portrait: saved ? saved.portrait : null };
+    });
+    applyCharacterState({ ...job.state, portrait, portraitHistory: portraits, currentPortraitIndex: portraitIndex, snapshots });
+    currentCharacterId = job.characterId;
+    if (rosterList) {
+        renderRoster().catch(handleRosterError);
     }
+
+    await runBioGeneration(job.targetFields, job);
 }
 
-// Create formatted bio document
-function createBioDocument(formData) {
-    const imageHtml = characterImage.src ?
-        `<div class="character-image"><img src="${characterImage.src}" alt="Character Portrait" style="max-width: 300px; border-radius: 10px; margin: 20px auto; display: block;"></div>` : '';
+// Generate the whole character bio
+function generateBio() {
+    return runBioGeneration(BIO_FIELDS);
+}
 
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <title>${formData.characterName || 'Character'} Bio</title>
-        <style>
-            body { font-family: 'Times New Roman', serif; max-width: 800px; margin: 0 auto; padding: 20px; line-height: 1.6; }
-            h1 { color: #2c5aa0; text-align: center; border-bottom: 3px solid #d4af37; padding-bottom: 10px; }
-            h2 { color: #8b4513; margin-top: 30px; }
-            .section { margin-bottom: 20px; }
-            .label { font-weight: bold; color: #2c3e50; }
+// Regenerate only the given fields, sending the rest as fixed context
+function regenerateFields(fields) {
+    if (!fields.length) return;
+    return runBioGeneration(fields);
+}
+
+// Generate bio fields with the selected AI provider.
+// resumeJob is a saved background generation to collect instead of starting a new one;
+// ignoreBuildErrors is set once the player has chosen to generate for an illegal build anyway.
+async function runBioGeneration(requestedFields, resumeJob = null, ignoreBuildErrors = false) {
+    // Prevent multiple simultaneous generations
+    if (generationInProgress) {
+        showToast({ type: 'warning', message: 'Character generation already in progress. Please wait for it to complete.' });
+        return;
+    }
+
+    // Locked fields are canon, never generation targets
+    const targetFields = requestedFields.filter(field => !lockedFields.has(field));
+    const canonFields = BIO_FIELDS.filter(field => lockedFields.has(field));
+    if (!targetFields.length) {
+        showToast({ type: 'warning', message: 'All of the selected fields are locked. Unlock a field to regenerate it.' });
+        return;
+    }
+
+    const formData = collectFormData();
+
+    // Illegal builds make for bios that contradict the sheet - let the player fix them first
+    const build = validateCharacterBuild(formData);
+    if (build.errors.length && !resumeJob && !ignoreBuildErrors) {
+        showAllBuildErrors = true;
+        refreshBuildValidation();
+        showBanner('bioNotice', {
+            type: 'warning',
+            title: "This character sheet isn't a legal build.",
+            message: 'Fix these first, or generate anyway:',
+            items: build.errors.map(issue => issue.message),
+            retry: { label: 'Generate anyway', action: () => runBioGeneration(requestedFields, null, true) }
+        });
+        return;
+    }
+
+    // Set generation state
+    generationInProgress = true;
+    currentGenerationAbortController = new AbortController();
+    clearBanner('bioNotice');
+    const retryGeneration = () => runBioGeneration(targetFields, null, ignoreBuildErrors);
+    const signal = currentGenerationAbortController.signal;
+    cancelGenerationBtn.disabled = false;
+
+    // Request wake lock to prevent mobile sleep
+    await requestWakeLock();
+
+    // Show loading state and lock all fields
+    generateBioBtn.disabled = true;
+
+    // Show progress indicator
+    const progressIndicator = document.getElementById('aiProgress');
+    const progressFill = progressIndicator.querySelector('.progress-fill');
+    const progressText = progressIndicator.querySelector('.progress-text');
+    const progressFlavor = progressIndicator.querySelector('.progress-flavor');
+    progressIndicator.style.display = 'block';
+
+    // Percentage and status come from stream events; the timer only adds elapsed time and flavor
+    let progressPercent = 0;
+    let progressStatus = 'Sending request';
+    let progressDots = 0;
+    let elapsedSeconds = 0;
+    const startTime = Date.now();
+    const progressMessages = [
+        'Researching Roshar lore',
+        'Analyzing cultural backgrounds',
+        'Exploring social structures',
+        'Mapping regional details',
+        'Investigating historical events',
+        'Crafting character elements',
+        'Synthesizing final details',
+        'Consulting the Diagram',
+        'Deciphering ancient texts',
+        'Studying spren behavior patterns',
+        'Examining highstorm cycles',
+        'Reviewing Vorin orthodoxy',
+        'Analyzing Shardbearer histories',
+        'Investigating Parshendi customs',
+        'Mapping trade route networks',
+        'Studying Alethi war camps',
+        'Asking Wit for advice (he\'s being cryptic)',
+        'Researching Thaylen merchants',
+        'Examining Azish bureaucracy',
+        'Analyzing Shin stone shamans',
+        'Verifying spheres aren\'t counterfeit',
+        'Investigating Kholinar archives',
+        'Investigating Horneater peaks',
+        'Confirming Shallan isn\'t drawing this',
+        'Studying Unkalaki traditions',
+        'Researching Reshi isles culture',
+        'Double-checking for hidden Radiants',
+        'Examining Babatharnam customs',
+        'Analyzing Iri artistic traditions',
+        'Investigating Jah Keved politics',
+        'Studying Kharbranth scholars',
+        'Researching Natanatan ruins',
+        'Examining Alethkar nobility',
+        'Analyzing Vedenar traditions',
+        'Investigating Emul conflicts',
+        'Studying Tukar religious practices',
+        'Researching Marabethia customs',
+        'Examining Desh cultural norms',
+        'Analyzing Liafor trade practices',
+        'Investigating Yezier traditions',
+        'Checking if Kaladin is brooding nearby',
+        'Studying Bavland customs',
+        'Researching Triax politics',
+        'Examining Steen cultural practices',
+        'Analyzing Rira maritime traditions',
+        'Consulting Bridge Four tactics',
+        'Ensuring no cremlings are eavesdropping',
+        'Making sure Adolin isn\'t dueling anyone'        
+    ];
+    let messageIndex = 0;
+
+    const updateProgress = () => {
+        progressDots = (progressDots + 1) % 4;
+        const dots = '.'.repeat(progressDots);
+        const spaces = '\u00A0'.repeat(3 - progressDots);
+
+        elapsedSeconds = Math.floor((Date.now() - startTime) / 1000);
+        const timeDisplay = elapsedSeconds < 60 ? `${elapsedSeconds}s` : `${Math.floor(elapsedSeconds / 60)}m ${elapsedSeconds % 60}s`;
+
+        generateBioBtn.textContent = 'Generating...';
+        progressFill.style.width = `${progressPercent}%`;
+        progressText.textContent = `${progressStatus}${dots}${spaces} - ${timeDisplay}`;
+        progressFlavor.textContent = progressMessages[messageIndex];
+    };
+
+    // Called from stream events; the bar never moves backwards
+    const setProgress = (percent, status) => {
+        progressPercent = Math.max(progressPercent, Math.min(100, percent));
+        if (status) progressStatus = status;
+        updateProgress();
+    };
+
+    // Update dots every 500ms, message every 4 seconds
+    const dotInterval = setInterval(updateProgress, 500);
+    const messageInterval = setInterval(() => {
+        messageIndex = (messageIndex + 1) % progressMessages.length;
+    }, 4000);
+
+    // Store intervals for cleanup
+    generateBioBtn.dotInterval = dotInterval;
+    generateBioBtn.messageInterval = messageInterval;
+
+    // Start immediately
+    updateProgress();
+
+    // Lock the fields being generated, remembering what they held so streamed previews can be undone
+    flushUserEdits();
+    const originalValues = {};
+    targetFields.forEach(field => {
+        const element = document.getElementById(field);
+        if (element) {
+            originalValues[field] = element.value;
+            element.disabled = true;
+            element.style.opacity = '0.6';
+        }
+    });
+    updateFieldToolsState();
+
+    const restoreOriginalValues = () => {
+        Object.keys(originalValues).forEach(field => {
+            const element = document.getElementById(field);
+            element.value = originalValues[field];
+            element.classList.remove('streaming-preview');
+        });
+    };
+
+    // A resumed generation keeps the provider it was started with
+    const campaign = getSelectedCampaignProfile();
+    const aiSettings = resumeJob ? resumeJob.settings : getAISettings();
+    const provider = AI_PROVIDERS[aiSettings.provider];
+
+    // Id of the server-side response, once known - needed to cancel or collect it
+    let responseId = null;
+
+    try {
+        // Use the pre-uploaded Welcome to Roshar PDF file
+        const pdfFileIds = ['file-3VQDhPG6m61qHiGuwfFZ2x'];
+
+        let data;
+        if (resumeJob) {
+            responseId = resumeJob.responseId;
+            setProgress(5, 'Picking up your character where you left off');
+            data = await pollBackgroundResponse(provider, aiSettings, responseId, signal, setProgress);
+        } else {
+            console.log('🚀 Initializing Enhanced AI Agent with:');
+            console.log(`🧠 Reasoning Level: ${aiSettings.reasoningEffort || 'model default'}`);
+
+            // Update button text to show research phase
+            generateBioBtn.textContent = 'Researching...';
+
+            const input = createEnhancedBioInput(formData, pdfFileIds, targetFields, canonFields, campaign);
+
+            // Debug: Log the input structure
+            console.log('📝 API Input structure:', JSON.stringify(input, null, 2));
+
+            const response = await requestWithRetry(attemptSignal => provider.requestBio({
+                instructions: createBioInstructions(campaign),
+                input,
+                schema: buildBioSchema(targetFields)
+            }, aiSettings, attemptSignal), {
+                signal,
+                timeoutMs: BIO_REQUEST_TIMEOUT_MS,
+                onRetry: ({ attempt, maxAttempts, error, waitMs }) => {
+                    setProgress(0, `${error.message} Retrying in ${Math.ceil(waitMs / 1000)}s (attempt ${attempt + 1} of ${maxAttempts})`);
+                }
+            });
+            generateBioBtn.textContent = 'Generating...';
+
+            const showPreview = (field, value) => {
+                const element = document.getElementById(field);
+                if (element) {
+                    element.value = value;
+                    element.classList.add('streaming-preview');
+                }
+            };
+
+            // Remember the background response so a dropped connection or reload can collect it
+            const rememberResponse = id => {
+                responseId = id;
+                if (provider.supportsBackground) {
+                    const { portrait, portraitHistory: portraits, currentPortraitIndex: portraitIndex, ...state } = captureCharacterState();
+                    state.formData = { ...state.formData, ...originalValues };
+                    state.snapshots = state.snapshots.map(snapshot => ({ ...snapshot, portrait: null }));
+                    savePendingBioJob({
+                        responseId: id,
+                        settings: aiSettings,
+                        targetFields,
+                        characterId: currentCharacterId,
+                        state,
+                        startedAt: new Date().toISOString()
+                    });
+                }
+            };
+
+            try {
+                data = await streamBioResponse(response, provider, targetFields, setProgress, showPreview, rememberResponse);
+            } catch (streamError) {
+                // The generation carries on without us - collect it once it's done
+                if (signal.aborted || !responseId || !provider.supportsBackground) throw streamError;
+                console.warn('Bio stream interrupted, polling for the result:', streamError);
+                restoreOriginalValues();
+                setProgress(50, 'Connection lost - waiting for the finished character');
+                data = await pollBackgroundResponse(provider, aiSettings, responseId, signal, setProgress);
+            }
+        }
+
+        // Previews were only for show - put the originals back so version history captures them
+        restoreOriginalValues();
+
+        // Extract and validate the structured output
+        let bioResult;
+        try {
+            bioResult = validateBioData(parseAIResponse(extractOutputText(data)), targetFields);
+        } catch (parseError) {
+            console.error('Error parsing response:', parseError);
+            console.log('Full response:', data);
+            parseError.responseId = data.id;
+            parseError.body = JSON.stringify(data, null, 2);
+            showErrorBanner('bioNotice', 'Could not read the AI response', parseError, retryGeneration);
+            return;
+        }
+
+        const validFields = Object.keys(bioResult.valid);
+        if (bioResult.errors.length) {
+            console.warn('Bio validation problems:', bioResult.errors);
+        }
+        if (!validFields.length) {
+            showBanner('bioNotice', {
+                type: 'error',
+                title: 'The AI response could not be used',
+                items: describeBioErrors(bioResult.errors),
+                error: { responseId: data.id, body: JSON.stringify(data, null, 2) },
+                retry: { label: 'Retry', action: retryGeneration }
+            });
+            return;
+        }
+
+        // Apply the fields that came back valid; report the rest
+        updateBioFields(bioResult.valid, validFields);
+        recordSnapshot('generation', describeGenerationSnapshot(validFields));
+        clearFieldSelection();
+        showToast({
+            type: 'success',
+            title: 'Bio generated',
+            message: `Updated ${validFields.length} field${validFields.length === 1 ? '' : 's'}.`
+        });
+        const fieldProblems = bioResult.errors.filter(error => targetFields.includes(error.field));
+        if (fieldProblems.length) {
+            const failedFields = [...new Set(fieldProblems.map(problem => problem.field))];
+            showBanner('bioNotice', {
+                type: 'warning',
+                title: 'Some fields could not be updated and kept their previous text',
+                items: describeBioErrors(fieldProblems),
+                retry: { label: 'Regenerate these', action: () => regenerateFields(failedFields) }
+            });
+        }
+        // Show secondary actions
+        generateImageBtn.style.display = 'block';
+        downloadBioBtn.style.display = 'block';
+
+    } catch (error) {
+        // Cancelling leaves the character exactly as it was - no alert, no history entry
+        restoreOriginalValues();
+        if (signal.aborted) {
+            if (responseId && provider.supportsBackground) {
+                provider.cancelResponse(responseId, aiSettings).catch(cancelError => {
+                    console.warn('Could not cancel the background response:', cancelError);
+                });
+            }
+        } else {
+            console.error('Error generating bio:', error);
+            showErrorBanner('bioNotice', 'Error generating bio', error, retryGeneration);
+        }
+    } finally {
+        // Clean up progress intervals and hide indicator
+        if (generateBioBtn.dotInterval) {
+            clearInterval(generateBioBtn.dotInterval);
+            delete generateBioBtn.dotInterval;
+        }
+        if (generateBioBtn.messageInterval) {
+            clearInterval(generateBioBtn.messageInterval);
+            delete generateBioBtn.messageInterval;
+        }
+
+        // Hide progress indicator
+        const progressIndicator = document.getElementById('aiProgress');
+        if (progressIndicator) {
+            progressIndicator.style.display = 'none';
+        }
+
+        // Reset generation state - this tab has dealt with the response, so nothing is left to resume
+        generationInProgress = false;
+        currentGenerationAbortController = null;
+        clearPendingBioJob();
+
+        // Release wake lock
+        releaseWakeLock();
+
+        // Reset button state and unlock all fields
+        generateBioBtn.disabled = false;
+        generateBioBtn.textContent = 'Generate Bio';
+
+
+        targetFields.forEach(field => {
+            const element = document.getElementById(field);
+            if (element) {
+                element.disabled = false;
+                element.style.opacity = '1';
+            }
+        });
+        updateFieldToolsState();
+    }
+}
+
+
+
+// Read a server-sent event stream, calling onEvent with each JSON payload
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = rawEvent => {
+        const data = rawEvent
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trimStart())
+            .join('\n');
+        if (data && data !== '[DONE]') {
+            onEvent(JSON.parse(data));
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        let match;
+        while ((match = buffer.match(/\r?\n\r?\n/))) {
+            dispatch(buffer.slice(0, match.index));
+            buffer = buffer.slice(match.index + match[0].length);
+        }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+        dispatch(buffer);
+    }
+}
+
+// Pull finished (and in-progress) string fields out of partially streamed JSON.
+// Only the top-level object of string values matters here, which keeps this small.
+function scanStreamedBioFields(text) {
+    const result = { complete: {}, partialField: null, partialValue: '' };
+    let i = text.indexOf('{');
+    if (i === -1) return result;
+    i++;
+
+    // Returns [literal, endIndex] for a JSON string starting at start, or null if unfinished
+    const readString = start => {
+        for (let j = start + 1; j < text.length; j++) {
+            if (text[j] === '\\') {
+                j++;
+            } else if (text[j] === '"') {
+                return [text.slice(start, j + 1), j + 1];
+            }
+        }
+        return null;
+    };
+    const skipSpace = index => {
+        while (index < text.length && /[\s,]/.test(text[index])) index++;
+        return index;
+    };
+
+    while (true) {
+        i = skipSpace(i);
+        if (text[i] !== '"') return result;
+
+        const key = readString(i);
+        if (!key) return result;
+        const field = JSON.parse(key[0]);
+
+        i = skipSpace(key[1]);
+        if (text[i] !== ':') return result;
+        i = skipSpace(i + 1);
+        if (text[i] !== '"') return result;
+
+        const value = readString(i);
+        if (!value) {
+            // Still streaming - decode what we have, minus any half-written escape
+            const partial = text.slice(i).replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+            try {
+                result.partialField = field;
+                result.partialValue = JSON.parse(partial + '"');
+            } catch (error) {
+                result.partialValue = '';
+            }
+            return result;
+        }
+
+        result.complete[field] = JSON.parse(value[0]);
+        i = value[1];
+    }
+}
+
+// Consume a streamed bio response, reporting real progress from its events.
+// Resolves with the final response object, the same shape a non-streamed call returns.
+// onCreated receives the response id as soon as the server assigns one.
+async function streamBioResponse(response, provider, targetFields, onProgress, onFieldPreview, onCreated = () => {}) {
+    let outputText = '';
+    let finalResponse = null;
+    let searchesStarted = 0;
+    let searchesCompleted = 0;
+
+    // Research is the first 40%, reasoning takes it to 50%, writing the fields fills the rest
+    const writingProgress = doneCount => 50 + (doneCount / targetFields.length) * 50;
+
+    await provider.readBioStream(response, event => {
+        switch (event.type) {
+            case 'response.created':
+                if (event.response && event.response.id) onCreated(event.response.id);
+                onProgress(3, 'Request accepted');
+                break;
+            case 'response.in_progress':
+                onProgress(5, 'AI agent is working');
+                break;
+            case 'response.file_search_call.in_progress':
+            case 'response.file_search_call.searching':
+                if (event.type === 'response.file_search_call.in_progress') searchesStarted++;
+                onProgress(5 + Math.min(35, searchesCompleted * 7), `Searching the Roshar archives (search ${searchesStarted})`);
+                break;
+            case 'response.file_search_call.completed':
+                searchesCompleted++;
+                onProgress(5 + Math.min(35, searchesCompleted * 7), `Finished search ${searchesCompleted}`);
+                break;
+            case 'response.output_item.added':
+                if (event.item && event.item.type === 'reasoning') {
+                    onProgress(40, 'Reasoning about your character');
+                } else if (event.item && event.item.type === 'message') {
+                    onProgress(50, 'Writing your character');
+                }
+                break;
+            case 'response.reasoning_summary_text.delta':
+                onProgress(45, 'Reasoning about your character');
+                break;
+            case 'response.output_text.delta': {
+                outputText += event.delta;
+                const scan = scanStreamedBioFields(outputText);
+                const doneFields = Object.keys(scan.complete).filter(field => targetFields.includes(field));
+
+                doneFields.forEach(field => onFieldPreview(field, scan.complete[field]));
+                if (scan.partialField && targetFields.includes(scan.partialField)) {
+                    onFieldPreview(scan.partialField, scan.partialValue);
+                    onProgress(writingProgress(doneFields.length), `Writing ${BIO_FIELD_LABELS[scan.partialField]}`);
+                } else {
+                    onProgress(writingProgress(doneFields.length));
+                }
+                break;
+            }
+            case 'response.completed':
+            case 'response.incomplete':
+                finalResponse = event.response;
+                onProgress(100, 'Done');
+                break;
+            case 'response.failed': {
+                const failure = event.response && event.response.error;
+                throw new Error(`Generation failed: ${failure ? failure.message : 'unknown error'}`);
+            }
+            case 'error':
+                throw new Error(`Generation failed: ${event.message || event.code || 'stream error'}`);
+        }
+    });
+
+    if (!finalResponse) {
+        throw new Error('The connection closed before the character was finished');
+    }
+    return finalResponse;
+}
+
+// Human-readable lines for validateBioData() errors
+function describeBioErrors(errors) {
+    return errors.map(error => error.field
+        ? `${BIO_FIELD_LABELS[error.field] || error.field} ${error.message}`
+        : error.message);
+}
+
+// Create enhanced input for agentic bio generation using Responses API format
+function createEnhancedBioInput(formData, pdfFileIds, targetFields = BIO_FIELDS, canonFields = [], campaign = getSelectedCampaignProfile()) {
+    const overrides = Array.from(derivedOverrides);
+    const era = CAMPAIGN_ERAS[campaign.era];
+    const level = formData.level || campaign.startingLevel;
+    const fixedFields = BIO_FIELDS.filter(field => !targetFields.includes(field) && !canonFields.includes(field));
+
+    const requestedElements = targetFields
+        .map(field => `- ${BIO_FIELD_LABELS[field]}: ${formData[field] || BIO_FIELD_HINTS[field]}`)
+        .join('\n');
+
+    // Fields we're keeping are context only, so the new text stays consistent with them
+    const fixedElements = fixedFields.length ? `
+
+📌 FIXED CHARACTER ELEMENTS (final - use as context, do NOT rewrite or return these):
+${fixedFields.map(field => `- ${BIO_FIELD_LABELS[field]}: ${formData[field] || 'Not specified'}`).join('\n')}` : '';
+
+    // Locked fields were written by the player and override anything the research suggests
+    const writtenCanon = canonFields.filter(field => formData[field] && formData[field].trim());
+    const canonElements = writtenCanon.length ? `
+
+🔒 LOCKED CANON (player-authored - these are hard facts about the character. Everything you write MUST agree with them. Never contradict, rewrite, or return these fields):
+${writtenCanon.map(field => `- ${BIO_FIELD_LABELS[field]}: ${formData[field]}`).join('\n')}` : '';
+
+    const scopeNote = fixedFields.length || canonFields.length ? `
+
+⚠️ ONLY generate these fields: ${targetFields.map(field => BIO_FIELD_LABELS[field]).join(', ')}. Keep them consistent with the fixed and locked elements above.` : '';
+
+    const content = [
+        {
+            type: "input_text",
+            text: `You are an expert Stormlight Archive character creation agent. Research the knowledge base thoroughly to create an authentic, detailed Level ${level} character bio for the ${campaign.name.toUpperCase()} campaign based on the following information:
+
+🎲 ${campaign.name.toUpperCase()} CHARACTER REQUEST:
+⚠️ IMPORTANT: This is a Level ${level} character for the ${era.label} era. ${era.context}. ${describeCampaignPowers(campaign).join('. ')}.${campaign.houseRules ? `
+
+📜 HOUSE RULES:
+${campaign.houseRules}` : ''}
+
+CHARACTER SHEET:
+Player Name: ${formData.playerName || 'Not specified'}
+Character Name: ${formData.characterName || 'Not specified'}
+Sex: ${formData.sex || 'Not specified'}
+Level: ${formData.level || 'Not specified'}
+Ancestry: ${formData.ancestry || 'Not specified'}
+Alignment: ${formData.alignment || 'Not specified'}
+
+Attributes:
+- Strength: ${formData.strength || 'Not specified'}
+- Speed: ${formData.speed || 'Not specified'}
+- Intellect: ${formData.intellect || 'Not specified'}
+- Willpower: ${formData.willpower || 'Not specified'}
+- Awareness: ${formData.awareness || 'Not specified'}
+- Presence: ${formData.presence || 'Not specified'}
+
+Stats:
+- Health: ${describeDerivedStat('health', formData, overrides)}
+- Focus: ${describeDerivedStat('focus', formData, overrides)}
+- Marks: ${formData.marks || 'Not specified'}
+- Lifting Capacity: ${describeDerivedStat('liftingCapacity', formData, overrides)}
+- Movement: ${describeDerivedStat('movement', formData, overrides)}
+- Recovery Die: ${describeDerivedStat('recoveryDie', formData, overrides)}
+- Senses Range: ${describeDerivedStat('sensesRange', formData, overrides)}
+- Defences: ${describeDefences(formData)}
+
+Other Details:
+- Conditions & Injuries: ${formData.conditionsInjuries || 'None specified'}
+- Expertises: ${formData.expertises || 'Not specified'}
+- Talents: ${formData.talents || 'Not specified'}
+- Weapons: ${formData.weapons || 'Not specified'}
+- Armor & Equipment: ${formData.armorEquipment || 'Not specified'}
+- Connections: ${formData.connections || 'Not specified'}
+
+🎭 EXISTING CHARACTER ELEMENTS (enhance/expand these):
+${requestedElements}${fixedElements}${canonElements}
+
+🔍 RESEARCH INSTRUCTIONS:
+1. If ancestry is specified, research that culture's customs, appearance, and social norms
+2. If no ancestry is given, research various Rosharan cultures and select an appropriate one
+3. Look up relevant geographical regions, their characteristics, and how they shape inhabitants
+4. Research historical events, conflicts, and social issues that could inform the character's background (${era.research.toUpperCase()})
+5. Find examples of naming conventions, cultural practices, and typical occupations for Level ${level} adventurers
+6. Search for information about relevant organizations, religions, or social groups
+7. If alignment is specified, ensure character traits, motivations, and moral choices reflect that alignment
+8. Respect the campaign's limits on powers - ${describeCampaignPowers(campaign).join('; ').toLowerCase()}
+9. Use all research to create a character that feels authentically part of the Stormlight Archive world${campaign.tone ? ` with a tone of: ${campaign.tone}` : ''}
+
+Generate a comprehensive, research-backed Level ${level} character for the ${campaign.name} campaign that demonstrates deep knowledge of ${era.research} Roshar's cultures, history, and social structures.${scopeNote}` }
+    ];
+
+    // Add all successfully uploaded PDF files
+    if (pdfFileIds && pdfFileIds.length > 0) {
+        pdfFileIds.forEach(fileId => {
+            content.push({
+                type: "input_file",
+                file_id: fileId
+            });
+        });
+    }
+
+    return [{
+        role: "user",
+        content: content
+    }];
+}
+
+// Typing becomes a version once the player pauses for this long (or leaves the field)
+const USER_VERSION_DEBOUNCE_MS = 1500;
+
+// Text each bio field held at its last version change - the "before" side of the next edit
+const committedValues = {};
+BIO_FIELDS.forEach(field => {
+    committedValues[field] = '';
+});
+
+// Debounce timers for edits that haven't been committed as versions yet
+const pendingUserEdits = {};
+
+// Handle field edits - restyle now, record a version once typing settles
+function onFieldEdit(field) {
+    const element = document.getElementById(field);
+    if (element) {
+        // Remove purple background when user edits
+        element.classList.remove('ai-generated');
+        element.classList.add('user-edited');
+    }
+
+    clearTimeout(pendingUserEdits[field]);
+    pendingUserEdits[field] = setTimeout(() => commitUserEdit(field), USER_VERSION_DEBOUNCE_MS);
+}
+
+// Record the field's text as a user version (branching from the version it was edited from)
+function commitUserEdit(field) {
+    clearTimeout(pendingUserEdits[field]);
+    delete pendingUserEdits[field];
+
+    const element = document.getElementById(field);
+    if (!element || element.value === committedValues[field]) return;
+
+    const before = { value: committedValues[field], index: currentVersionIndex[field] };
+    saveVersionWithOriginal(field, committedValues[field], element.value, 'user');
+    recordUndoStep([{ field, before, after: { value: element.value, index: currentVersionIndex[field] } }]);
+}
+
+// Commit every edit still waiting on its debounce, e.g. before generating or saving
+function flushUserEdits() {
+    Object.keys(pendingUserEdits).forEach(commitUserEdit);
+}
+
+// Undo/redo across all bio fields. Each step is a list of field changes, so a whole
+// generation undoes in one go; history itself is never rewritten, only which version shows.
+const MAX_UNDO_STEPS = 100;
+const undoStack = [];
+const redoStack = [];
+
+// changes: [{ field, before: { value, index }, after: { value, index } }]
+function recordUndoStep(changes) {
+    if (!changes.length) return;
+    undoStack.push(changes);
+    if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+    redoStack.length = 0;
+}
+
+function clearUndoHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+}
+
+// Show a field at a recorded position: its text and which version it sits on
+function applyFieldPosition(field, position) {
+    const element = document.getElementById(field);
+    const history = fieldHistory[field];
+    element.value = position.value;
+    committedValues[field] = position.value;
+    currentVersionIndex[field] = Math.min(position.index, Math.max(0, history.length - 1));
+
+    const version = history[currentVersionIndex[field]];
+    if (version && version.value === position.value) {
+        updateFieldVisualState(field, version.type);
+    } else {
+        element.classList.remove('ai-generated', 'user-edited');
+    }
+    updateVersionControls(field);
+}
+
+function stepUndoHistory(fromStack, toStack, side) {
+    if (generationInProgress) {
+        showToast({ type: 'warning', message: 'Please wait for the current generation to finish.' });
+        return;
+    }
+    flushUserEdits();
+
+    const changes = fromStack.pop();
+    if (!changes) return;
+    changes.forEach(change => applyFieldPosition(change.field, change[side]));
+    toStack.push(changes);
+}
+
+function undoBioEdit() {
+    stepUndoHistory(undoStack, redoStack, 'before');
+}
+
+function redoBioEdit() {
+    stepUndoHistory(redoStack, undoStack, 'after');
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) - taken over in bio fields and outside any input,
+// left to the browser in the character sheet and other text boxes
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+
+    const target = e.target;
+    const inBioField = BIO_FIELDS.includes(target.id);
+    const inOtherInput = !inBioField && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    if (inOtherInput || document.querySelector('.modal-overlay:not(#helpModal), .text-modal-overlay')) return;
+
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) {
+        redoBioEdit();
+    } else {
+        undoBioEdit();
+    }
+});
+
+// Save AI-generated version with proper original state capture
+function saveAIVersionWithOriginal(field, originalValue, aiValue) {
+    saveVersionWithOriginal(field, originalValue, aiValue, 'ai');
+}
+
+// Save a new version of the given type, first capturing the text it replaces.
+// Versions are only ever appended: each records the version it was made from (parent),
+// so editing an old version branches off it and the newer ones stay in the history.
+function saveVersionWithOriginal(field, originalValue, newValue, type) {
+    const history = fieldHistory[field];
+    let parent = history.length ? currentVersionIndex[field] : null;
+
+    // Always save the original state as version 1 if history is empty
+    if (history.length === 0) {
+        const version1 = {
+            value: originalValue,
+            timestamp: new Date(),
+            type: originalValue.trim() ? 'user' : 'blank',
+            parent: null
+        };
+        history.push(version1);
+        parent = 0;
+    } else if (originalValue !== history[parent].value) {
+        // Save the original value if it's different from the version it was edited from
+        const newVersion = {
+            value: originalValue,
+            timestamp: new Date(),
+            type: originalValue.trim() ? 'user' : 'blank',
+            parent
+        };
+        history.push(newVersion);
+        parent = history.length - 1;
+    }
+
+    // Only add the new version if it's different from the one it replaces
+    if (newValue !== history[parent].value) {
+        const version = {
+            value: newValue,
+            timestamp: new Date(),
+            type,
+            parent
+        };
+        history.push(version);
+        parent = history.length - 1;
+    }
+
+    // The field now shows the new version
+    currentVersionIndex[field] = parent;
+    committedValues[field] = newValue;
+    updateVersionControls(field);
+}
+
+// Legacy function for backward compatibility
+function saveAIVersion(field, value) {
+    const element = document.getElementById(field);
+    const originalValue = element ? element.value : '';
+    saveAIVersionWithOriginal(field, originalValue, value);
+}
+
+// Navigate between versions
+function navigateVersion(field, direction) {
+    // Unsaved typing becomes a version first so stepping away doesn't lose it
+    commitUserEdit(field);
+
+    const history = fieldHistory[field];
+    if (history.length <= 1) return;
+
+    const newIndex = currentVersionIndex[field] + direction;
+    if (newIndex >= 0 && newIndex < history.length) {
+        const element = document.getElementById(field);
+        const before = { value: element.value, index: currentVersionIndex[field] };
+        currentVersionIndex[field] = newIndex;
+
+        // Set value exactly as stored, including empty strings and null
+        const storedValue = history[newIndex].value;
+        const newValue = storedValue === null || storedValue === undefined ? '' : storedValue;
+
+        // Multiple approaches to ensure the value updates
+        element.value = newValue;
+        element.setAttribute('value', newValue);
+        committedValues[field] = newValue;
+        recordUndoStep([{ field, before, after: { value: newValue, index: newIndex } }]);
+
+        // Force visual update by triggering multiple events
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+
+        // Force DOM update
+        requestAnimationFrame(() => {
+            element.value = newValue;
+        });
+
+        // Update visual state
+        updateFieldVisualState(field, history[newIndex].type);
+        updateVersionControls(field);
+    }
+}
+
+// Update version controls display
+function updateVersionControls(field) {
+    const history = fieldHistory[field];
+    const versionControls = document.getElementById(`${field}-versions`);
+    const counter = document.getElementById(`${field}-counter`);
+    const prevBtn = document.getElementById(`${field}-prev`);
+    const nextBtn = document.getElementById(`${field}-next`);
+    const historyBtn = document.getElementById(`${field}-history`);
+
+    if (historyBtn) {
+        historyBtn.style.display = history.length ? 'inline-block' : 'none';
+    }
+
+    if (history.length > 1) {
+        versionControls.style.display = 'flex';
+        counter.textContent = `${currentVersionIndex[field] + 1}/${history.length}`;
+
+        // Enable/disable navigation buttons
+        prevBtn.disabled = currentVersionIndex[field] === 0;
+        nextBtn.disabled = currentVersionIndex[field] === history.length - 1;
+    } else {
+        versionControls.style.display = 'none';
+    }
+}
+
+// Update visual state of field
+function updateFieldVisualState(field, type) {
+    const element = document.getElementById(field);
+
+    if (type === 'ai') {
+        element.classList.add('ai-generated');
+        element.classList.remove('user-edited');
+    } else {
+        element.classList.remove('ai-generated');
+        element.classList.add('user-edited');
+    }
+}
+
+// Update bio fields with AI-generated content
+function updateBioFields(bioData, targetFields = BIO_FIELDS) {
+    const changes = [];
+    targetFields.forEach(field => {
+        // Locked fields are never overwritten, even if the model returned them anyway
+        if (lockedFields.has(field)) return;
+
+        if (bioData[field]) {
+            const element = document.getElementById(field);
+
+            if (element) {
+                // FIRST: Capture the original state before changing anything
+                const originalValue = element.value;
+                const before = { value: originalValue, index: currentVersionIndex[field] };
+
+                // Save versions in correct order
+                saveAIVersionWithOriginal(field, originalValue, bioData[field]);
+
+                // THEN: Update with AI content
+                element.value = bioData[field];
+                changes.push({ field, before, after: { value: bioData[field], index: currentVersionIndex[field] } });
+
+                // Update visual state
+                updateFieldVisualState(field, 'ai');
+            }
+        }
+    });
+
+    // The whole generation undoes as one step
+    recordUndoStep(changes);
+}
+
+// Generate character image with the image model of the selected AI provider
+async function generateImage() {
+    const formData = collectFormData();
+
+    currentImageAbortController = new AbortController();
+    const signal = currentImageAbortController.signal;
+    setImageRequestState(true);
+    generateImageBtn.textContent = 'Generating...';
+
+    try {
+        const portraitOptions = getPortraitOptions();
+        const imagePrompt = createImagePrompt(formData, portraitOptions);
+        const aiSettings = getAISettings();
+        const provider = AI_PROVIDERS[aiSettings.provider];
+
+        const request = { prompt: imagePrompt, size: PORTRAIT_ASPECTS[portraitOptions.aspect].size };
+        const response = await requestWithRetry(attemptSignal => provider.requestImage(request, aiSettings, attemptSignal), {
+            signal,
+            timeoutMs: IMAGE_REQUEST_TIMEOUT_MS,
+            onRetry: ({ attempt, maxAttempts }) => {
+                generateImageBtn.textContent = `Retrying (${attempt + 1}/${maxAttempts})...`;
+            }
+        });
+
+        const data = await response.json();
+
+        const imageData = provider.readImage(data);
+        if (imageData) {
+            // Display the generated image
+            addPortraitVersion(base64ToBlob(imageData, 'image/png'), { kind: 'generated', prompt: imagePrompt });
+            showToast({ type: 'success', message: 'Portrait generated.' });
+        } else {
+            throw new Error('No image found in response');
+        }
+
+    } catch (error) {
+        // Cancelling is the player's choice, not an error
+        if (!signal.aborted) {
+            console.error('Error generating image:', error);
+            showErrorBanner('imageNotice', 'Error generating portrait', error, generateImage);
+        }
+    } finally {
+        currentImageAbortController = null;
+        setImageRequestState(false);
+        generateImageBtn.textContent = 'Generate Image';
+    }
+}
+
+// Portrait prompt builder - the image prompt is assembled from the whole sheet and bio,
+// with the style, framing and aspect ratio picked in the Portrait Options panel
+const PORTRAIT_OPTIONS_KEY = 'roshar-portrait-options';
+
+const PORTRAIT_STYLES = {
+    painted: {
+        label: 'Painted',
+        prompt: 'a richly painted fantasy illustration with visible brushwork, vibrant colors and dramatic lighting'
+    },
+    'ink-sketch': {
+        label: 'Ink sketch',
+        prompt: 'a black ink sketch with confident linework and cross-hatched shading on off-white paper'
+    },
+    sketchbook: {
+        label: 'Sketchbook page',
+        prompt: "a page from Shallan Davar's sketchbook: charcoal and graphite studies on worn paper, with a smaller study of a detail and handwritten notes in the margins",
+        background: 'The worn paper of the page is the background.',
+        allowsText: true
+    },
+    token: {
+        label: 'Token art',
+        prompt: 'virtual tabletop token art: a crisp, high-contrast painted bust centered on a plain background, readable at small sizes',
+        background: 'Keep the background a plain, softly lit color so the figure can be cropped out.'
+    }
+};
+
+const PORTRAIT_FRAMINGS = {
+    headshot: { label: 'Headshot', prompt: 'A head-and-shoulders portrait', showsWeapons: false },
+    'full-body': { label: 'Full body', prompt: 'A full-body portrait, head to toe, standing', showsWeapons: true },
+    action: { label: 'Action pose', prompt: 'A dynamic full-figure action scene, mid-movement', showsWeapons: true }
+};
+
+// Sizes the image models accept - keep in sync with ALLOWED_IMAGE_SIZES in the proxy
+const PORTRAIT_ASPECTS = {
+    square: { label: 'Square', size: '1024x1024' },
+    portrait: { label: 'Portrait (2:3)', size: '1024x1536' },
+    landscape: { label: 'Landscape (3:2)', size: '1536x1024' }
+};
+
+const DEFAULT_PORTRAIT_OPTIONS = { style: 'painted', framing: 'headshot', aspect: 'square' };
+
+// Used unless the style asks for a background of its own
+const ROSHAR_BACKGROUND = "Suggest Roshar in the background: crystalline rockbuds, stormwall-carved stone and strange light, fitting the character's homeland.";
+
+// Looks that go with each people, matched against the free-text Ancestry field, plus the
+// ring color their VTT tokens get. Vorin women keep the left hand covered, so their dress
+// gets its own line.
+const VORIN_WOMENS_DRESS = 'a Vorin havah - a fitted silk dress with a long left sleeve buttoned closed over the safehand';
+const ANCESTRY_PORTRAIT_CUES = [
+    { match: /alethi/i, looks: 'Alethi: tan skin, black hair, eyes light or dark to show their caste', vorin: true, ring: '#2c4a8a' },
+    { match: /veden/i, looks: 'Veden: fair to tan skin, often with red-streaked hair', vorin: true, ring: '#8e2a2a' },
+    { match: /thaylen/i, looks: 'Thaylen: long white eyebrows worn tucked behind the ears or styled down the cheeks', vorin: true, ring: '#1f7a6e' },
+    { match: /kharbranth/i, looks: 'Kharbranthian: a Vorin city-state people in scholarly or merchant dress', vorin: true, ring: '#5d6d7e' },
+    { match: /horneater|unkalaki/i, looks: 'Horneater (Unkalaki): very tall and heavily built, broad-shouldered, with red hair and a strong jaw', ring: '#a0522d' },
+    { match: /herdaz/i, looks: 'Herdazian: dark brown skin and fingernails hard and dark like crystal', ring: '#5b7f2a' },
+    { match: /azish|azir/i, looks: 'Azish: dark brown skin, patterned robes and a hat whose colors and shapes mark their rank', ring: '#c77d1a' },
+    { match: /iriali/i, looks: 'Iriali: golden-hued skin and golden or red hair', ring: '#d4a017' },
+    { match: /natan/i, looks: 'Natan: pale bluish skin and white hair', ring: '#4f8fbf' },
+    { match: /shin/i, looks: 'Shin: pale skin, large round eyes, plain practical clothing', ring: '#7d8c6a' },
+    { match: /reshi/i, looks: 'Reshi: islander of the Reshi Sea, dark hair, loose bright clothing for a tropical climate', ring: '#178f85' },
+    { match: /singer|listener|parsh/i, looks: 'Singer: marbled skin in patterns of red, black and white, with carapace growing over the head and body in place of hair', ring: '#7b1f3a' }
+];
+
+function loadPortraitOptions() {
+    try {
+        return JSON.parse(localStorage.getItem(PORTRAIT_OPTIONS_KEY) || '{}');
+    } catch (error) {
+        console.warn('Could not read portrait options:', error);
+        return {};
+    }
+}
+
+// The stored options, with anything missing or no longer offered set to the default
+function getPortraitOptions() {
+    const stored = loadPortraitOptions();
+    return {
+        style: PORTRAIT_STYLES[stored.style] ? stored.style : DEFAULT_PORTRAIT_OPTIONS.style,
+        framing: PORTRAIT_FRAMINGS[stored.framing] ? stored.framing : DEFAULT_PORTRAIT_OPTIONS.framing,
+        aspect: PORTRAIT_ASPECTS[stored.aspect] ? stored.aspect : DEFAULT_PORTRAIT_OPTIONS.aspect
+    };
+}
+
+function describePortraitOptions(options) {
+    return [PORTRAIT_STYLES[options.style].label, PORTRAIT_FRAMINGS[options.framing].label, PORTRAIT_ASPECTS[options.aspect].label].join(' · ');
+}
+
+// Whole sentences up to a limit - long bio fields would drown out the visual details of a
+// portrait prompt, or push a one-page PDF onto a second page
+function summarizeText(text, maxLength) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= maxLength) return clean;
+
+    const cut = clean.slice(0, maxLength);
+    const sentenceEnd = cut.lastIndexOf('. ');
+    return sentenceEnd > maxLength / 2 ? cut.slice(0, sentenceEnd + 1) : `${cut.slice(0, cut.lastIndexOf(' '))}...`;
+}
+
+function describeAncestryLooks(ancestry, sex) {
+    const cue = ANCESTRY_PORTRAIT_CUES.find(entry => entry.match.test(ancestry || ''));
+    if (!cue) return '';
+    return cue.vorin && sex === 'female' ? `${cue.looks}; dressed in ${VORIN_WOMENS_DRESS}` : cue.looks;
+}
+
+// Create image generation prompt
+function createImagePrompt(formData, options = getPortraitOptions(), additionalInstructions = '', hasReference = false) {
+    const style = PORTRAIT_STYLES[options.style];
+    const framing = PORTRAIT_FRAMINGS[options.framing];
+    const era = CAMPAIGN_ERAS[getSelectedCampaignProfile().era];
+    const subject = [formData.sex, formData.ancestry].filter(Boolean).join(' ');
+
+    const details = [
+        ['Appearance', summarizeText(formData.appearance, 700)],
+        ['Heritage', describeAncestryLooks(formData.ancestry, formData.sex)],
+        ['Clothing and armor', summarizeText(formData.armorEquipment, 250)],
+        ['Weapons', framing.showsWeapons ? summarizeText(formData.weapons, 200) : ''],
+        ['Visible injuries', summarizeText(formData.conditionsInjuries, 150)],
+        ['Affiliations (insignia, colors)', summarizeText(formData.affiliations, 200)],
+        ['Expression and bearing', summarizeText(formData.personality, 200)],
+        ['Background', summarizeText(formData.background, 300)]
+    ].filter(([, value]) => value);
+
+    let prompt = `${framing.prompt} of ${formData.characterName || 'a character'}, a ${subject ? `${subject} ` : ''}character from the world of Roshar (Stormlight Archive), drawn as ${style.prompt}.
+Setting: ${era.label} - ${era.context}. ${style.background || ROSHAR_BACKGROUND}
+${details.map(([label, value]) => `${label}: ${value}`).join('\n')}
+Show the character as described, in lore-accurate Rosharan dress rather than generic fantasy costume.${style.allowsText ? '' : ' No text, captions or watermarks.'}`;
+
+    if (additionalInstructions) {
+        prompt += ` Additional refining requirements: ${additionalInstructions}`;
+    }
+
+    if (hasReference) {
+        prompt += ` Make the character's facial features and overall appearance resemble the provided reference image while maintaining the art style.`;
+    }
+
+    return prompt;
+}
+
+// Prompt for editing the current portrait - the model is given the portrait itself,
+// so this describes the change rather than the character
+function createEditPrompt(additionalInstructions = '', hasReference = false, hasMask = false) {
+    const changes = [];
+    if (additionalInstructions) {
+        changes.push(additionalInstructions);
+    }
+    if (hasReference) {
+        changes.push("make the character's facial features resemble the person in the second image, the reference photo");
+    }
+
+    let prompt = `Edit the first image, a fantasy character portrait from the world of Roshar (Stormlight Archive). Make only these changes: ${changes.join('; ')}.`;
+    prompt += hasMask
+        ? ' Only redraw the masked area, blending it into the rest of the portrait, and leave everything outside it exactly as it is.'
+        : ' Keep everything else the same - the same person, face, pose, clothing, framing, background and art style.';
+    return prompt;
+}
+
+// Refine existing image - the current portrait is sent as the image to edit, so the
+// result is the same character with only the requested changes
+async function refineImage() {
+    const formData = collectFormData();
+    const additionalInstructions = imageInstructions.value.trim();
+    const referenceFile = referenceImage.files[0];
+
+    if (!additionalInstructions && !referenceFile) {
+        showToast({ type: 'warning', message: 'Please provide additional instructions or upload a reference image to refine the portrait.' });
+        return;
+    }
+
+    const useMask = maskToggle.checked && !!currentPortraitBlob;
+    if (useMask && !maskHasPaint) {
+        showToast({ type: 'warning', message: 'Paint over the part of the portrait to change, or untick "Only change a painted area".' });
+        return;
+    }
+
+    currentImageAbortController = new AbortController();
+    const signal = currentImageAbortController.signal;
+    setImageRequestState(true);
+    refineImageBtn.textContent = 'Refining...';
+
+    try {
+        const aiSettings = getAISettings();
+        const provider = AI_PROVIDERS[aiSettings.provider];
+
+        const baseImage = currentPortraitBlob
+            ? { mimeType: currentPortraitBlob.type || 'image/png', data: await fileToBase64(currentPortraitBlob) }
+            : null;
+        const mask = useMask ? createMaskImage() : null;
+        const portraitOptions = getPortraitOptions();
+        const imagePrompt = baseImage
+            ? createEditPrompt(additionalInstructions, !!referenceFile, !!mask)
+            : createImagePrompt(formData, portraitOptions, additionalInstructions, !!referenceFile);
+
+        // Add reference image if provided
+        const referenceImages = [];
+        if (referenceFile) {
+            referenceImages.push({ mimeType: referenceFile.type, data: await fileToBase64(referenceFile) });
+        }
+
+        // An edit keeps the size of the portrait it starts from
+        const request = { prompt: imagePrompt, baseImage, mask, referenceImages };
+        if (!baseImage) {
+            request.size = PORTRAIT_ASPECTS[portraitOptions.aspect].size;
+        }
+        const response = await requestWithRetry(attemptSignal => provider.requestImage(request, aiSettings, attemptSignal), {
+            signal,
+            timeoutMs: IMAGE_REQUEST_TIMEOUT_MS,
+            onRetry: ({ attempt, maxAttempts }) => {
+                refineImageBtn.textContent = `Retrying (${attempt + 1}/${maxAttempts})...`;
+            }
+        });
+
+        const data = await response.json();
+
+        const imageData = provider.readImage(data);
+        if (imageData) {
+            // Display the refined image
+            addPortraitVersion(base64ToBlob(imageData, 'image/png'), {
+                kind: 'refined',
+                prompt: imagePrompt,
+                instructions: additionalInstructions,
+                reference: referenceFile ? referenceFile.name : ''
+            });
+            showToast({ type: 'success', message: 'Portrait refined.' });
+
+            // Clear the refinement inputs
+            imageInstructions.value = '';
+            referenceImage.value = '';
+        } else {
+            throw new Error('No image found in response');
+        }
+
+    } catch (error) {
+        // A cancelled refinement keeps the instructions and reference so it can be retried
+        if (!signal.aborted) {
+            console.error('Error refining image:', error);
+            showErrorBanner('imageNotice', 'Error refining portrait', error, refineImage);
+        }
+    } finally {
+        currentImageAbortController = null;
+        setImageRequestState(false);
+        refineImageBtn.textContent = 'Refine Image';
+    }
+}
+
+// Helper function to convert base64 image data to a Blob
+function base64ToBlob(base64Data, type) {
+    const byteCharacters = atob(base64Data);
+    const byteNumbers = new Array(byteCharacters.length);
+    for (let i = 0; i < byteCharacters.length; i++) {
+        byteNumbers[i] = byteCharacters.charCodeAt(i);
+    }
+    return new Blob([new Uint8Array(byteNumbers)], { type });
+}
+
+// Display a portrait and remember its blob so it can be saved with the character
+function showPortrait(blob) {
+    if (characterImage.src.startsWith('blob:')) URL.revokeObjectURL(characterImage.src);
+    currentPortraitBlob = blob;
+    characterImage.src = URL.createObjectURL(blob);
+    imageContainer.style.display = 'grid'; //GRID, not BLOCK!!!
+}
+
+function clearPortrait() {
+    if (characterImage.src.startsWith('blob:')) URL.revokeObjectURL(characterImage.src);
+    currentPortraitBlob = null;
+    characterImage.removeAttribute('src');
+    imageContainer.style.display = 'none';
+}
+
+// Portrait gallery - every generated or refined portrait is kept with the prompt that made it,
+// and the one picked as current is what the PDF, snapshots and saves use
+const PORTRAIT_KINDS = { generated: 'Generated', refined: 'Refined' };
+const portraitThumbs = document.getElementById('portraitThumbs');
+
+// Oldest first; each is { id, blob, kind, prompt, instructions, reference, createdAt }
+let portraitHistory = [];
+let currentPortraitIndex = -1;
+
+// Thumbnail URLs from the last render, freed before the next one
+let portraitThumbUrls = [];
+
+function addPortraitVersion(blob, { kind, prompt = '', instructions = '', reference = '' }) {
+    portraitHistory.push({ id: createCharacterId(), blob, kind, prompt, instructions, reference, createdAt: new Date() });
+    selectPortraitVersion(portraitHistory.length - 1);
+}
+
+function selectPortraitVersion(index) {
+    currentPortraitIndex = index;
+    showPortrait(portraitHistory[index].blob);
+    renderPortraitGallery();
+}
+
+// Show a portrait that should already be in the gallery (e.g. from a snapshot), adding it if not
+function setCurrentPortrait(blob) {
+    const index = portraitHistory.findIndex(entry => entry.blob === blob);
+    if (index >= 0) {
+        selectPortraitVersion(index);
+    } else {
+        addPortraitVersion(blob, { kind: 'generated' });
+    }
+}
+
+// Replace the gallery, e.g. when another character is loaded
+function loadPortraitHistory(entries, index) {
+    portraitHistory = entries.map(entry => ({ ...entry }));
+    if (portraitHistory.length) {
+        selectPortraitVersion(Math.min(Math.max(0, index), portraitHistory.length - 1));
+    } else {
+        currentPortraitIndex = -1;
+        clearPortrait();
+        renderPortraitGallery();
+    }
+}
+
+function describePortraitVersion(entry, index) {
+    return [`#${index + 1}`, PORTRAIT_KINDS[entry.kind], new Date(entry.createdAt).toLocaleString()].join(' · ');
+}
+
+function renderPortraitGallery() {
+    if (!portraitThumbs) return;
+    portraitThumbUrls.forEach(url => URL.revokeObjectURL(url));
+    portraitThumbUrls = [];
+    portraitThumbs.innerHTML = '';
+    document.getElementById('portraitGallery').hidden = !portraitHistory.length;
+
+    portraitHistory.forEach((entry, index) => {
+        const url = URL.createObjectURL(entry.blob);
+        portraitThumbUrls.push(url);
+
+        const thumb = document.createElement('button');
+        thumb.type = 'button';
+        thumb.className = 'portrait-thumb' + (index === currentPortraitIndex ? ' current' : '');
+        thumb.title = `${describePortraitVersion(entry, index)}${entry.instructions ? `\n${entry.instructions}` : ''}`;
+        thumb.setAttribute('aria-pressed', index === currentPortraitIndex ? 'true' : 'false');
+        thumb.innerHTML = '<img alt="">';
+        thumb.querySelector('img').src = url;
+        thumb.addEventListener('click', () => selectPortraitVersion(index));
+        portraitThumbs.appendChild(thumb);
+    });
+
+    // With no current portrait the details would still describe the last one shown
+    const current = portraitHistory[currentPortraitIndex];
+    if (!current) {
+        document.getElementById('portraitSummary').textContent = 'No current portrait';
+        document.getElementById('portraitInstructions').textContent = '';
+        document.getElementById('portraitPrompt').textContent = '';
+        return;
+    }
+    document.getElementById('portraitSummary').textContent = `${describePortraitVersion(current, currentPortraitIndex)} - current portrait`;
+    const instructions = [
+        current.instructions ? `Instructions: ${current.instructions}` : '',
+        current.reference ? `Reference photo: ${current.reference}` : ''
+    ].filter(Boolean).join(' · ');
+    document.getElementById('portraitInstructions').textContent = instructions;
+    document.getElementById('portraitPrompt').textContent = current.prompt || 'No prompt was recorded for this portrait.';
+}
+
+// Portrait mask - the user paints over the part of the current portrait a refinement may change.
+// The overlay canvas has the portrait's natural size, and the painted pixels become the
+// transparent area of the mask PNG, which is how OpenAI's image edits mark what to redraw.
+const maskCanvas = document.getElementById('maskCanvas');
+const maskToggle = document.getElementById('maskToggle');
+const maskBrush = document.getElementById('maskBrush');
+let maskHasPaint = false;
+
+// Canvas coordinates of the last point in the stroke being painted, or null between strokes
+let maskStroke = null;
+
+// Resizing the canvas also wipes it, so this runs whenever a different portrait is shown
+function resetPortraitMask() {
+    maskHasPaint = false;
+    maskStroke = null;
+    maskCanvas.width = characterImage.naturalWidth || maskCanvas.width;
+    maskCanvas.height = characterImage.naturalHeight || maskCanvas.height;
+}
+
+function setMaskMode(enabled) {
+    maskToggle.checked = enabled;
+    maskCanvas.hidden = !enabled;
+    document.getElementById('maskTools').hidden = !enabled;
+}
+
+function paintMask(event) {
+    const ctx = maskCanvas.getContext('2d');
+    if (!ctx) return;
+
+    // The canvas is shown scaled down, so convert from screen pixels to portrait pixels
+    const rect = maskCanvas.getBoundingClientRect();
+    const scale = maskCanvas.width / rect.width;
+    const point = { x: (event.clientX - rect.left) * scale, y: (event.clientY - rect.top) * scale };
+    const from = maskStroke || point;
+
+    ctx.strokeStyle = '#e53935';
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = Number(maskBrush.value) * scale;
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(point.x, point.y);
+    ctx.stroke();
+
+    maskStroke = point;
+    maskHasPaint = true;
+}
+
+// The mask PNG sent with an edit: opaque everywhere except where the user painted
+function createMaskImage() {
+    const canvas = document.createElement('canvas');
+    canvas.width = maskCanvas.width;
+    canvas.height = maskCanvas.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.drawImage(maskCanvas, 0, 0);
+    return { mimeType: 'image/png', data: canvas.toDataURL('image/png').split(',')[1] };
+}
+
+characterImage.addEventListener('load', resetPortraitMask);
+maskToggle.addEventListener('change', () => setMaskMode(maskToggle.checked));
+document.getElementById('maskClear').addEventListener('click', resetPortraitMask);
+
+maskCanvas.addEventListener('pointerdown', event => {
+    event.preventDefault();
+    maskCanvas.setPointerCapture(event.pointerId);
+    maskStroke = null;
+    paintMask(event);
+});
+maskCanvas.addEventListener('pointermove', event => {
+    if (maskStroke) paintMask(event);
+});
+['pointerup', 'pointercancel'].forEach(type => {
+    maskCanvas.addEventListener(type, () => { maskStroke = null; });
+});
+
+// VTT tokens - crop the current portrait to a circle or square, optionally ringed in a
+// themed color, and export it at the sizes virtual tabletops expect
+const TOKEN_SIZES = [256, 512, 1024];
+const TOKEN_FORMATS = {
+    png: { label: 'PNG', mimeType: 'image/png' },
+    webp: { label: 'WebP', mimeType: 'image/webp' }
+};
+const TOKEN_PREVIEW_SIZE = 320;
+const TOKEN_MAX_ZOOM = 4;
+
+// Ring thickness as a share of the token's width
+const TOKEN_RING_WIDTH = 0.06;
+
+// Ring colors by the moral half of the alignment
+const ALIGNMENT_RING_COLORS = { good: '#2f80c2', neutral: '#8a8d91', evil: '#a61e22' };
+
+const TOKEN_RINGS = {
+    none: { label: 'No ring', color: () => null },
+    gold: { label: 'Gold', color: () => '#d4af37' },
+    alignment: {
+        label: 'By alignment',
+        color: formData => ALIGNMENT_RING_COLORS[(formData.alignment || '').split('-')[1]] || ALIGNMENT_RING_COLORS.neutral
+    },
+    ancestry: {
+        label: 'By ancestry',
+        color: formData => {
+            const cue = ANCESTRY_PORTRAIT_CUES.find(entry => entry.match.test(formData.ancestry || ''));
+            return cue ? cue.ring : '#d4af37';
+        }
+    }
+};
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function loadImageFromBlob(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not read the portrait image'));
+        };
+        image.src = url;
+    });
+}
+
+// The crop is a square centered on (x, y) in portrait pixels; zoom 1 fits the shorter side.
+// Keep it inside the portrait whatever the pan and zoom.
+function clampTokenCrop(crop, width, height) {
+    const zoom = Math.min(Math.max(crop.zoom, 1), TOKEN_MAX_ZOOM);
+    const half = Math.min(width, height) / zoom / 2;
+    return {
+        zoom,
+        x: Math.min(Math.max(crop.x, half), width - half),
+        y: Math.min(Math.max(crop.y, half), height - half)
+    };
+}
+
+function traceTokenShape(ctx, size, shape, inset) {
+    ctx.beginPath();
+    if (shape === 'circle') {
+        ctx.arc(size / 2, size / 2, size / 2 - inset, 0, Math.PI * 2);
+    } else {
+        ctx.rect(inset, inset, size - inset * 2, size - inset * 2);
+    }
+}
+
+// Draw the token at the canvas's size; outside the shape stays transparent
+function drawToken(canvas, image, crop, { shape, ringColor }) {
+    const ctx = canvas.getContext('2d');
+    const size = canvas.width;
+    const side = Math.min(image.naturalWidth, image.naturalHeight) / crop.zoom;
+    const ring = ringColor ? size * TOKEN_RING_WIDTH : 0;
+
+    ctx.clearRect(0, 0, size, size);
+    ctx.save();
+    traceTokenShape(ctx, size, shape, ring / 2);
+    ctx.clip();
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, crop.x - side / 2, crop.y - side / 2, side, side, 0, 0, size, size);
+    ctx.restore();
+
+    if (ringColor) {
+        traceTokenShape(ctx, size, shape, ring / 2);
+        ctx.lineWidth = ring;
+        ctx.strokeStyle = ringColor;
+        ctx.stroke();
+
+        // A thin dark edge inside the ring lifts it off the portrait
+        traceTokenShape(ctx, size, shape, ring);
+        ctx.lineWidth = Math.max(1, size / 256);
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+        ctx.stroke();
+    }
+}
+
+function canvasToBlob(canvas, mimeType) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the token image')), mimeType, 0.92);
+    });
+}
+
+async function exportTokens(image, crop, { shape, ringColor, sizes, format, includePortrait }) {
+    const baseName = collectFormData().characterName || 'Character';
+
+    for (const size of sizes) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        drawToken(canvas, image, crop, { shape, ringColor });
+        const blob = await canvasToBlob(canvas, TOKEN_FORMATS[format].mimeType);
+        // Browsers without WebP encoding hand back a PNG instead
+        const extension = blob.type === 'image/webp' ? 'webp' : 'png';
+        downloadBlob(blob, `${baseName}_Token_${size}.${extension}`);
+    }
+
+    if (includePortrait) {
+        const extension = currentPortraitBlob.type === 'image/jpeg' ? 'jpg' : (currentPortraitBlob.type.split('/')[1] || 'png');
+        downloadBlob(currentPortraitBlob, `${baseName}_Portrait.${extension}`);
+    }
+}
+
+async function openTokenTool() {
+    if (!currentPortraitBlob) {
+        showToast({ type: 'warning', message: 'Generate a portrait first to make a token from it.' });
+        return;
+    }
+
+    let image;
+    try {
+        image = await loadImageFromBlob(currentPortraitBlob);
+    } catch (error) {
+        showToast({ type: 'error', title: 'Could not open the token tool', message: error.message });
+        return;
+    }
+
+    // Start on the upper middle of the portrait, where the face usually is
+    let crop = clampTokenCrop({ zoom: 1.5, x: image.naturalWidth / 2, y: image.naturalHeight * 0.38 }, image.naturalWidth, image.naturalHeight);
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay token-overlay';
+    modal.innerHTML = `
+        <div class="modal-content token-modal" role="dialog" aria-modal="true">
+            <div class="modal-header">
+                <h2>VTT Token</h2>
+                <button type="button" class="modal-close" aria-label="Close">&times;</button>
+            </div>
+            <div class="modal-body">
+                <div class="token-editor">
+                    <div class="token-stage">
+                        <canvas class="token-preview"></canvas>
+                        <small>Drag to move the crop; scroll or use the slider to zoom</small>
+                    </div>
+                    <div class="token-controls">
+                        <div class="form-group">
+                            <label>Shape</label>
+                            <select class="token-shape">
+                                <option value="circle">Circle</option>
+                                <option value="square">Square</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Zoom</label>
+                            <input type="range" class="token-zoom" min="1" max="${TOKEN_MAX_ZOOM}" step="0.05">
+                        </div>
+                        <div class="form-group">
+                            <label>Ring</label>
+                            <select class="token-ring"></select>
+                        </div>
+                        <div class="form-group">
+                            <label>Sizes</label>
+                            <div class="token-sizes"></div>
+                        </div>
+                        <div class="form-group">
+                            <label>Format</label>
+                            <select class="token-format"></select>
+                        </div>
+                        <label class="token-include-portrait"><input type="checkbox" class="token-portrait"> Also download the full portrait</label>
+                        <button type="button" class="btn btn-small token-download">Download</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+
+    const preview = modal.querySelector('.token-preview');
+    const shapeSelect = modal.querySelector('.token-shape');
+    const zoomInput = modal.querySelector('.token-zoom');
+    const ringSelect = modal.querySelector('.token-ring');
+    const formatSelect = modal.querySelector('.token-format');
+    preview.width = TOKEN_PREVIEW_SIZE;
+    preview.height = TOKEN_PREVIEW_SIZE;
+    zoomInput.value = String(crop.zoom);
+
+    Object.entries(TOKEN_RINGS).forEach(([value, ring]) => ringSelect.add(new Option(ring.label, value)));
+    ringSelect.value = 'gold';
+    Object.entries(TOKEN_FORMATS).forEach(([value, format]) => formatSelect.add(new Option(format.label, value)));
+    TOKEN_SIZES.forEach(size => {
+        const label = document.createElement('label');
+        label.innerHTML = `<input type="checkbox" value="${size}"${size === 512 ? ' checked' : ''}> ${size}px`;
+        modal.querySelector('.token-sizes').appendChild(label);
+    });
+
+    const currentOptions = () => ({
+        shape: shapeSelect.value,
+        ringColor: TOKEN_RINGS[ringSelect.value].color(collectFormData())
+    });
+    const render = () => drawToken(preview, image, crop, currentOptions());
+    const setCrop = (next) => {
+        crop = clampTokenCrop(next, image.naturalWidth, image.naturalHeight);
+        zoomInput.value = String(crop.zoom);
+        render();
+    };
+
+    // Dragging moves the portrait under the crop, so the crop moves the other way
+    let dragFrom = null;
+    preview.addEventListener('pointerdown', (e) => {
+        preview.setPointerCapture(e.pointerId);
+        dragFrom = { x: e.clientX, y: e.clientY };
+    });
+    preview.addEventListener('pointermove', (e) => {
+        if (!dragFrom) return;
+        const rect = preview.getBoundingClientRect();
+        const scale = Math.min(image.naturalWidth, image.naturalHeight) / crop.zoom / rect.width;
+        setCrop({ ...crop, x: crop.x - (e.clientX - dragFrom.x) * scale, y: crop.y - (e.clientY - dragFrom.y) * scale });
+        dragFrom = { x: e.clientX, y: e.clientY };
+    });
+    ['pointerup', 'pointercancel'].forEach(type => {
+        preview.addEventListener(type, () => { dragFrom = null; });
+    });
+    preview.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        setCrop({ ...crop, zoom: crop.zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1) });
+    }, { passive: false });
+    zoomInput.addEventListener('input', () => setCrop({ ...crop, zoom: Number(zoomInput.value) }));
+    shapeSelect.addEventListener('change', render);
+    ringSelect.addEventListener('change', render);
+
+    modal.querySelector('.token-download').addEventListener('click', async () => {
+        const sizes = Array.from(modal.querySelectorAll('.token-sizes input:checked'), input => Number(input.value));
+        const includePortrait = modal.querySelector('.token-portrait').checked;
+        if (!sizes.length && !includePortrait) {
+            showToast({ type: 'warning', message: 'Tick at least one token size to download.' });
+            return;
+        }
+        try {
+            await exportTokens(image, crop, { ...currentOptions(), sizes, format: formatSelect.value, includePortrait });
+        } catch (error) {
+            console.error('Error exporting token:', error);
+            showToast({ type: 'error', title: 'Could not export the token', message: error.message });
+        }
+    });
+
+    const closeTool = () => {
+        modal.remove();
+        document.body.style.overflow = 'auto';
+        document.removeEventListener('keydown', escapeHandler);
+    };
+    const escapeHandler = (e) => {
+        if (e.key === 'Escape') closeTool();
+    };
+    modal.querySelector('.modal-close').addEventListener('click', closeTool);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeTool();
+    });
+    document.addEventListener('keydown', escapeHandler);
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+    render();
+}
+
+document.getElementById('openTokenTool').addEventListener('click', openTokenTool);
+
+// Helper function to convert file to base64
+function fileToBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.readAsDataURL(file);
+        reader.onload = () => {
+            const base64 = reader.result.split(',')[1];
+            resolve(base64);
+        };
+        reader.onerror = error => reject(error);
+    });
+}
+
+// Character sheet PDF - a small layout engine over jsPDF. It tracks the cursor, starts a
+// new page whenever the next block won't fit, and stamps headers and footers on every
+// page once the page count is known. Each section of the sheet renders itself through it,
+// and a template picks the sections, their order, the fonts and the color theme.
+const PDF_PAGE = { width: 210, height: 297, margin: 15, top: 22, bottom: 18 };
+
+// jsPDF font sizes are in points and positions in millimetres
+const PT_TO_MM = 0.3528;
+const PDF_LINE_SPACING = 1.3;
+
+// Each kind of text on the sheet; `font` picks the heading or body family of the font set
+const PDF_FONT_ROLES = {
+    title: { font: 'heading', style: 'bold', size: 20, color: 'primary' },
+    heading: { font: 'heading', style: 'bold', size: 13, color: 'secondary' },
+    label: { font: 'heading', style: 'bold', size: 8, color: 'muted' },
+    value: { font: 'heading', style: 'bold', size: 15, color: 'text' },
+    body: { font: 'body', style: 'normal', size: 10, color: 'text' },
+    small: { font: 'body', style: 'normal', size: 8, color: 'muted' }
+};
+
+// Built-in PDF fonts need nothing; the site's own fonts ship as TTFs in fonts/ and are embedded
+const PDF_FONT_SETS = {
+    helvetica: { label: 'Helvetica (built in)', heading: 'helvetica', body: 'helvetica' },
+    times: { label: 'Times (built in)', heading: 'times', body: 'times' },
+    cosmere: {
+        label: 'Cinzel & Crimson Text (embedded)',
+        heading: 'Cinzel',
+        body: 'CrimsonText',
+        files: [
+            { family: 'Cinzel', style: 'normal', url: 'fonts/Cinzel-Regular.ttf' },
+            { family: 'Cinzel', style: 'bold', url: 'fonts/Cinzel-SemiBold.ttf' },
+            { family: 'CrimsonText', style: 'normal', url: 'fonts/CrimsonText-Regular.ttf' },
+            { family: 'CrimsonText', style: 'bold', url: 'fonts/CrimsonText-SemiBold.ttf' }
+        ]
+    }
+};
+
+// `page` fills every page and `frame` rules a border around it
+const PDF_COLOR_THEMES = {
+    classic: {
+        label: 'Classic',
+        primary: [44, 90, 160],
+        secondary: [139, 69, 19],
+        text: [0, 0, 0],
+        muted: [100, 100, 100],
+        rule: [212, 175, 55],
+        boxFill: [248, 249, 250],
+        boxBorder: [190, 190, 190]
+    },
+    parchment: {
+        label: 'Parchment',
+        primary: [92, 58, 24],
+        secondary: [128, 32, 32],
+        text: [43, 29, 14],
+        muted: [112, 88, 58],
+        rule: [170, 130, 60],
+        boxFill: [236, 222, 190],
+        boxBorder: [170, 140, 95],
+        page: [245, 236, 214],
+        frame: [150, 110, 55]
+    },
+    ink: {
+        label: 'Printer-friendly ink',
+        primary: [0, 0, 0],
+        secondary: [0, 0, 0],
+        text: [0, 0, 0],
+        muted: [80, 80, 80],
+        rule: [0, 0, 0],
+        boxFill: [255, 255, 255],
+        boxBorder: [0, 0, 0]
+    }
+};
+
+// Font files already downloaded this session, as base64 keyed by URL
+const pdfFontCache = new Map();
+
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Chunked so long fonts don't overflow the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+// Download a font set's files into the cache; throws if any can't be fetched
+async function loadPdfFonts(fontSet) {
+    for (const file of fontSet.files || []) {
+        if (pdfFontCache.has(file.url)) continue;
+        const response = await fetch(file.url);
+        if (!response.ok) {
+            throw new Error(`Could not download the ${file.family} font (HTTP ${response.status})`);
+        }
+        pdfFontCache.set(file.url, arrayBufferToBase64(await response.arrayBuffer()));
+    }
+}
+
+// Register a loaded font set's files with the document
+function embedPdfFonts(doc, fontSet) {
+    for (const file of fontSet.files || []) {
+        const fileName = `${file.family}-${file.style}.ttf`;
+        doc.addFileToVFS(fileName, pdfFontCache.get(file.url));
+        doc.addFont(fileName, file.family, file.style);
+    }
+}
+
+// Compact layouts shrink the type, the boxes and the portrait to fit one page
+function createPdfLayout(doc, { colors, fontSet, compact = false }) {
+    const contentWidth = PDF_PAGE.width - PDF_PAGE.margin * 2;
+    const pageBottom = PDF_PAGE.height - PDF_PAGE.bottom;
+    const scale = compact ? 0.82 : 1;
+
+    const layout = {
+        doc,
+        colors,
+        compact,
+        left: PDF_PAGE.margin,
+        contentWidth,
+        boxHeight: compact ? 14 : 20,
+        portraitWidth: compact ? 40 : 62,
+        y: PDF_PAGE.top,
+
+        useFont(role) {
+            const font = PDF_FONT_ROLES[role];
+            doc.setFont(fontSet[font.font], font.style);
+            doc.setFontSize(font.size * scale);
+            doc.setTextColor(...colors[font.color]);
+            return layout.lineHeight(role);
+        },
+
+        lineHeight(role) {
+            return PDF_FONT_ROLES[role].size * scale * PT_TO_MM * PDF_LINE_SPACING;
+        },
+
+        // Page color and border go down first so everything else sits on top
+        decoratePage() {
+            if (colors.page) {
+                doc.setFillColor(...colors.page);
+                doc.rect(0, 0, PDF_PAGE.width, PDF_PAGE.height, 'F');
+            }
+            if (colors.frame) {
+                doc.setDrawColor(...colors.frame);
+                doc.setLineWidth(0.8);
+                doc.rect(6, 6, PDF_PAGE.width - 12, PDF_PAGE.height - 12, 'S');
+                doc.setLineWidth(0.3);
+                doc.rect(8, 8, PDF_PAGE.width - 16, PDF_PAGE.height - 16, 'S');
+            }
+        },
+
+        // Start a new page unless `height` more millimetres fit on this one
+        ensureSpace(height) {
+            if (layout.y + height <= pageBottom) return false;
+            doc.addPage();
+            layout.decoratePage();
+            layout.y = PDF_PAGE.top;
+            return true;
+        },
+
+        // Headings are kept with the first lines of whatever follows them
+        heading(text) {
+            const height = layout.lineHeight('heading');
+            layout.ensureSpace(height + 3 + layout.lineHeight('body') * 3);
+            layout.y += compact ? 1 : 2;
+            layout.useFont('heading');
+            doc.text(text, layout.left, layout.y + height * 0.75);
+            layout.y += height + 1;
+            doc.setDrawColor(...colors.rule);
+            doc.setLineWidth(0.5);
+            doc.line(layout.left, layout.y, layout.left + contentWidth, layout.y);
+            layout.y += compact ? 2.5 : 4;
+        },
+
+        // Wrapped text, split across pages line by line
+        paragraph(text, { role = 'body', x = layout.left, width = contentWidth, align } = {}) {
+            const height = layout.useFont(role);
+            const textX = align === 'center' ? x + width / 2 : x;
+            doc.splitTextToSize(text, width).forEach(line => {
+                if (layout.ensureSpace(height)) layout.useFont(role);
+                doc.text(line, textX, layout.y + height * 0.75, align ? { align } : undefined);
+                layout.y += height;
+            });
+        },
+
+        // A small caps-style label above wrapped text, with at least two lines kept together
+        labeledText(label, text) {
+            layout.ensureSpace(layout.lineHeight('label') + layout.lineHeight('body') * 2);
+            const labelHeight = layout.useFont('label');
+            doc.text(label.toUpperCase(), layout.left, layout.y + labelHeight * 0.75);
+            layout.y += labelHeight;
+            layout.paragraph(text);
+            layout.y += compact ? 1.5 : 3;
+        },
+
+        // A stat box like the ones on the printed sheet: label on top, big value, note underneath
+        box(x, y, width, height, { label, value, note }) {
+            doc.setDrawColor(...colors.boxBorder);
+            doc.setFillColor(...colors.boxFill);
+            doc.setLineWidth(0.3);
+            doc.roundedRect(x, y, width, height, 2, 2, 'FD');
+
+            const labelHeight = layout.useFont('label');
+            doc.text(label.toUpperCase(), x + width / 2, y + labelHeight, { align: 'center' });
+            layout.useFont('value');
+            doc.text(String(value), x + width / 2, y + height / 2 + 2.5 * scale, { align: 'center' });
+            if (note && !compact) {
+                layout.useFont('small');
+                doc.text(note, x + width / 2, y + height - 2, { align: 'center' });
+            }
+        },
+
+        // A row of equal boxes across the page
+        boxRow(boxes) {
+            const gap = compact ? 3 : 4;
+            const width = (contentWidth - gap * (boxes.length - 1)) / boxes.length;
+            layout.ensureSpace(layout.boxHeight);
+            boxes.forEach((box, index) => layout.box(layout.left + index * (width + gap), layout.y, width, layout.boxHeight, box));
+            layout.y += layout.boxHeight + gap;
+        },
+
+        // Header and footer on every page: character name, page numbers
+        finish(title, subtitle) {
+            const pageCount = doc.internal.getNumberOfPages();
+            for (let page = 1; page <= pageCount; page++) {
+                doc.setPage(page);
+                layout.useFont('small');
+                doc.text(title, layout.left, 12);
+                doc.text(subtitle, layout.left + contentWidth, 12, { align: 'right' });
+                doc.setDrawColor(...colors.rule);
+                doc.setLineWidth(0.3);
+                doc.line(layout.left, 14, layout.left + contentWidth, 14);
+                doc.text(`Page ${page} of ${pageCount}`, PDF_PAGE.width / 2, PDF_PAGE.height - 10, { align: 'center' });
+            }
+        }
+    };
+
+    layout.decoratePage();
+    return layout;
+}
+
+function formatSheetValue(value) {
+    const text = String(value || '').trim();
+    return text || '—';
+}
+
+// Free text for the sheet, cut down to `compactLength` on one-page layouts
+function sheetText(layout, value, compactLength) {
+    const text = formatSheetValue(value);
+    return layout.compact ? summarizeText(text, compactLength) : text;
+}
+
+// "chaotic-good" -> "Chaotic Good", "female" -> "Female"
+function formatChoice(value) {
+    return value ? value.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ') : '';
+}
+
+// Player-overridden derived stats are marked with an asterisk
+function formatDerivedStat(formData, field) {
+    return `${formatSheetValue(formData[field])}${derivedOverrides.has(field) ? '*' : ''}`;
+}
+
+// The portrait as a PNG for the PDF, at up to 1200px on its long side, or null
+async function loadPdfPortrait() {
+    if (!currentPortraitBlob) return null;
+
+    try {
+        const image = await loadImageFromBlob(currentPortraitBlob);
+        const aspectRatio = image.naturalWidth / image.naturalHeight;
+        const canvas = document.createElement('canvas');
+        canvas.width = aspectRatio >= 1 ? 1200 : Math.round(1200 * aspectRatio);
+        canvas.height = aspectRatio >= 1 ? Math.round(1200 / aspectRatio) : 1200;
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return { data: canvas.toDataURL('image/png'), aspectRatio };
+    } catch (error) {
+        console.log('Could not add image to PDF:', error);
+        return null;
+    }
+}
+
+// The sheet's sections, named by `label` when one has to be left off; templates pick and order them
+const PDF_SECTIONS = {
+    // Name and identity beside the portrait
+    identity: {
+        label: 'Name & Details',
+        render(layout, { formData, portrait }) {
+            const { doc } = layout;
+            const portraitWidth = portrait ? layout.portraitWidth : 0;
+            const textWidth = layout.contentWidth - (portrait ? portraitWidth + 8 : 0);
+            const top = layout.y;
+
+            if (portrait) {
+                const height = portraitWidth / portrait.aspectRatio;
+                doc.addImage(portrait.data, 'PNG', layout.left + layout.contentWidth - portraitWidth, top, portraitWidth, height);
+            }
+
+            const titleHeight = layout.useFont('title');
+            doc.splitTextToSize(formData.characterName || 'Character', textWidth).forEach(line => {
+                doc.text(line, layout.left, layout.y + titleHeight * 0.75);
+                layout.y += titleHeight;
+            });
+            layout.y += 3;
+
+            [
+                ['Player', formData.playerName],
+                ['Level', formData.level],
+                ['Ancestry', formData.ancestry],
+                ['Sex', formatChoice(formData.sex)],
+                ['Alignment', formatChoice(formData.alignment)]
+            ].forEach(([label, value]) => {
+                const labelHeight = layout.useFont('label');
+                doc.text(label.toUpperCase(), layout.left, layout.y + labelHeight * 0.75);
+                layout.y += labelHeight;
+                layout.paragraph(formatSheetValue(value), { width: textWidth });
+                layout.y += layout.compact ? 0.5 : 1.5;
+            });
+
+            if (portrait) {
+                layout.y = Math.max(layout.y, top + portraitWidth / portrait.aspectRatio);
+            }
+            layout.y += 4;
+        }
+    },
+
+    // The printed sheet pairs each defence with its two attributes
+    attributes: {
+        label: 'Attributes & Defences',
+        render(layout, { formData, defences }) {
+            const { doc } = layout;
+            const groups = Object.keys(DEFENCES);
+            const gap = 6;
+            const groupWidth = (layout.contentWidth - gap * (groups.length - 1)) / groups.length;
+            const boxWidth = (groupWidth - 3) / 2;
+            const height = layout.boxHeight - 2;
+
+            layout.heading('Attributes & Defences');
+            layout.ensureSpace(6 + height * 2 + 3);
+            const top = layout.y;
+
+            groups.forEach((defence, index) => {
+                const x = layout.left + index * (groupWidth + gap);
+                const { label, attributes } = DEFENCES[defence];
+
+                layout.useFont('label');
+                doc.text(label.toUpperCase(), x + groupWidth / 2, top + 3, { align: 'center' });
+                attributes.forEach((attribute, i) => {
+                    layout.box(x + i * (boxWidth + 3), top + 5, boxWidth, height, {
+                        label: ATTRIBUTE_LABELS[attribute],
+                        value: formatSheetValue(formData[attribute])
+                    });
+                });
+                layout.box(x, top + 5 + height + 3, groupWidth, height, {
+                    label: `${label} Defence`,
+                    value: defences[defence] ? defences[defence].value : '—',
+                    note: defences[defence] ? defences[defence].source : ''
+                });
+            });
+
+            layout.y = top + 5 + height * 2 + 3 + 6;
+        }
+    },
+
+    stats: {
+        label: 'Stats',
+        render(layout, { formData }) {
+            layout.heading('Stats');
+            layout.boxRow([
+                { label: 'Health', value: formatDerivedStat(formData, 'health') },
+                { label: 'Focus', value: formatDerivedStat(formData, 'focus') },
+                { label: 'Marks', value: formatSheetValue(formData.marks) }
+            ]);
+            layout.boxRow([
+                { label: 'Lifting Capacity', value: formatDerivedStat(formData, 'liftingCapacity') },
+                { label: 'Movement', value: formatDerivedStat(formData, 'movement') },
+                { label: 'Recovery Die', value: formatDerivedStat(formData, 'recoveryDie') },
+                { label: 'Senses Range', value: formatDerivedStat(formData, 'sensesRange') }
+            ]);
+            if (DERIVED_STAT_FIELDS.some(field => derivedOverrides.has(field))) {
+                layout.paragraph('* Overridden by the player; differs from the rules value', { role: 'small' });
+            }
+            layout.y += 2;
+        }
+    },
+
+    skills: {
+        label: 'Expertises & Talents',
+        render(layout, { formData }) {
+            layout.heading('Expertises & Talents');
+            layout.labeledText('Expertises', sheetText(layout, formData.expertises, 200));
+            layout.labeledText('Talents', sheetText(layout, formData.talents, 250));
+        }
+    },
+
+    equipment: {
+        label: 'Equipment',
+        render(layout, { formData }) {
+            layout.heading('Equipment');
+            layout.labeledText('Weapons', sheetText(layout, formData.weapons, 250));
+            layout.labeledText('Armor & Equipment', sheetText(layout, formData.armorEquipment, 250));
+        }
+    },
+
+    condition: {
+        label: 'Conditions & Connections',
+        render(layout, { formData }) {
+            layout.heading('Conditions & Connections');
+            layout.labeledText('Conditions & Injuries', sheetText(layout, formData.conditionsInjuries, 150));
+            layout.labeledText('Connections', sheetText(layout, formData.connections, 250));
+        }
+    },
+
+    // Empty bio fields are left out rather than printed as blanks
+    bio: {
+        label: 'Character Bio',
+        render(layout, { formData }) {
+            renderBioFields(layout, formData, 'Character Bio', BIO_FIELDS);
+        }
+    },
+
+    // What the rest of the table may know - no stats, secrets or private motives
+    publicBio: {
+        label: 'What Others See',
+        render(layout, { formData }) {
+            renderBioFields(layout, formData, 'What Others See', PUBLIC_BIO_FIELDS);
+        }
+    },
+
+    // The hooks worth glancing at mid-session, cut short
+    quickBio: {
+        label: 'Roleplaying Notes',
+        render(layout, { formData }) {
+            renderBioFields(layout, formData, 'Roleplaying Notes', QUICK_BIO_FIELDS, 220);
+        }
+    },
+
+    // A large portrait with the name under it, for handing round the table
+    portraitHero: {
+        label: 'Portrait',
+        render(layout, { formData, portrait }) {
+            if (portrait) {
+                const width = Math.min(120, 150 * portrait.aspectRatio);
+                const height = width / portrait.aspectRatio;
+                layout.ensureSpace(height);
+                layout.doc.addImage(portrait.data, 'PNG', layout.left + (layout.contentWidth - width) / 2, layout.y, width, height);
+                layout.y += height + 6;
+            }
+            layout.paragraph(formData.characterName || 'Character', { role: 'title', align: 'center' });
+            if (formData.ancestry) {
+                layout.paragraph(formData.ancestry, { role: 'small', align: 'center' });
+            }
+            layout.y += 4;
+        }
+    }
+};
+
+const PUBLIC_BIO_FIELDS = ['appearance', 'personality', 'affiliations', 'catchphrase', 'languageQuirks', 'superstitions', 'diet'];
+const QUICK_BIO_FIELDS = ['personality', 'catchphrase', 'languageQuirks', 'characterFlaws', 'mostWant', 'wontDo'];
+
+function renderBioFields(layout, formData, title, fields, maxLength) {
+    const filled = fields.filter(field => (formData[field] || '').trim());
+    if (!filled.length) return;
+
+    layout.heading(title);
+    filled.forEach(field => {
+        const text = formData[field].trim();
+        layout.labeledText(BIO_FIELD_LABELS[field], maxLength ? summarizeText(text, maxLength) : text);
+    });
+}
+
+// Each template lists its sections in page order, and the fonts and colors it starts with
+const PDF_TEMPLATES = {
+    sheet: {
+        label: 'Full character sheet',
+        fileSuffix: 'Bio',
+        sections: ['identity', 'attributes', 'stats', 'skills', 'equipment', 'condition', 'bio'],
+        fonts: 'helvetica',
+        theme: 'classic'
+    },
+    table: {
+        label: 'At the table (one page)',
+        fileSuffix: 'Table_Sheet',
+        sections: ['identity', 'attributes', 'stats', 'skills', 'equipment', 'condition', 'quickBio'],
+        fonts: 'helvetica',
+        theme: 'ink',
+        compact: true,
+        maxPages: 1
+    },
+    handout: {
+        label: 'GM handout',
+        fileSuffix: 'Handout',
+        sections: ['portraitHero', 'publicBio'],
+        fonts: 'times',
+        theme: 'classic'
+    },
+    keepsake: {
+        label: 'Parchment keepsake',
+        fileSuffix: 'Keepsake',
+        sections: ['portraitHero', 'bio', 'attributes', 'stats', 'skills', 'equipment', 'condition'],
+        fonts: 'cosmere',
+        theme: 'parchment'
+    }
+};
+
+const PDF_OPTIONS_KEY = 'roshar-pdf-options';
+const DEFAULT_PDF_TEMPLATE = 'sheet';
+
+// The stored choices, falling back to the template's own fonts and theme
+function getPdfOptions() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(PDF_OPTIONS_KEY) || '{}');
+    } catch (error) {
+        console.warn('Could not read PDF options:', error);
+    }
+
+    const template = PDF_TEMPLATES[stored.template] ? stored.template : DEFAULT_PDF_TEMPLATE;
+    return {
+        template,
+        fonts: PDF_FONT_SETS[stored.fonts] ? stored.fonts : PDF_TEMPLATES[template].fonts,
+        theme: PDF_COLOR_THEMES[stored.theme] ? stored.theme : PDF_TEMPLATES[template].theme
+    };
+}
+
+// Lay the template out on a fresh document. A template with maxPages leaves out every section
+// that would run past the limit and lays the rest out again, so nothing is printed half cut off.
+function renderPdfTemplate(template, { colors, fontSet }, sheet) {
+    const { jsPDF } = window.jspdf;
+    const skipped = [];
+    for (;;) {
+        const doc = new jsPDF();
+        embedPdfFonts(doc, fontSet);
+        const layout = createPdfLayout(doc, { colors, fontSet, compact: template.compact });
+        const overflow = template.sections
+            .filter(id => !skipped.includes(id))
+            .find(id => {
+                PDF_SECTIONS[id].render(layout, sheet);
+                return template.maxPages && doc.internal.getNumberOfPages() > template.maxPages;
+            });
+        if (!overflow) return { doc, layout, skipped };
+        skipped.push(overflow);
+    }
+}
+
+function describePdfOptions(options) {
+    return [PDF_TEMPLATES[options.template].label, PDF_FONT_SETS[options.fonts].label, PDF_COLOR_THEMES[options.theme].label].join(' · ');
+}
+
+// Download bio as PDF
+async function downloadBio() {
+    const formData = collectFormData();
+
+    downloadBioBtn.disabled = true;
+    downloadBioBtn.textContent = 'Generating PDF...';
+
+    try {
+        const options = getPdfOptions();
+        const template = PDF_TEMPLATES[options.template];
+        const sheet = { formData, portrait: await loadPdfPortrait(), defences: computeDefences(formData) };
+
+        // Without the embedded fonts the PDF is still worth having in the built-in ones
+        let fontSet = PDF_FONT_SETS[options.fonts];
+        try {
+            await loadPdfFonts(fontSet);
+        } catch (error) {
+            console.error('Error embedding PDF fonts:', error);
+            showToast({ type: 'warning', message: `${error.message} - using Helvetica instead.` });
+            fontSet = PDF_FONT_SETS.helvetica;
+        }
+
+        const { doc, layout, skipped } = renderPdfTemplate(template, { colors: PDF_COLOR_THEMES[options.theme], fontSet }, sheet);
+        if (skipped.length) {
+            const sections = skipped.map(id => PDF_SECTIONS[id].label).join(', ');
+            const limit = template.maxPages === 1 ? 'one page' : `${template.maxPages} pages`;
+            showToast({ type: 'info', message: `Left off to keep the PDF to ${limit}: ${sections}. The full character sheet has everything.` });
+        }
+
+        const subtitle = [formData.level ? `Level ${formData.level}` : '', formData.ancestry, 'Cosmere RPG'].filter(Boolean).join(' · ');
+        layout.finish(formData.characterName || 'Character', subtitle);
+
+        // Save the PDF
+        const fileName = `${formData.characterName || 'Character'}_${template.fileSuffix}.pdf`;
+        doc.save(fileName);
+
+    } catch (error) {
+        console.error('Error generating PDF:', error);
+        showToast({ type: 'warning', message: `Could not build the PDF (${error.message}) - opening a printable version instead.` });
+        // Fallback to print dialog
+        const bioContent = createBioDocument(formData);
+        const printWindow = window.open('', '_blank');
+        printWindow.document.write(bioContent);
+        printWindow.document.close();
+        setTimeout(() => {
+            printWindow.print();
+        }, 500);
+    } finally {
+        downloadBioBtn.disabled = false;
+        downloadBioBtn.textContent = 'Download Bio';
+    }
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Anything the player typed goes into markup through here
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Create formatted bio document
+function createBioDocument(formData) {
+    const show = value => escapeHtml(value || 'N/A');
+    const imageHtml = characterImage.src ?
+        `<div class="character-image"><img src="${escapeHtml(characterImage.src)}" alt="Character Portrait" style="max-width: 300px; border-radius: 10px; margin: 20px auto; display: block;"></div>` : '';
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <title>${escapeHtml(formData.characterName || 'Character')} Bio</title>
+        <style>
+            body { font-family: 'Times New Roman', serif; max-width: 800px; margin: 0 auto; padding: 20px; line-height: 1.6; }
+            h1 { color: #2c5aa0; text-align: center; border-bottom: 3px solid #d4af37; padding-bottom: 10px; }
+            h2 { color: #8b4513; margin-top: 30px; }
+            .section { margin-bottom: 20px; }
+            .label { font-weight: bold; color: #2c3e50; }
             .content { margin-left: 20px; margin-bottom: 15px; }
             .character-sheet { background: #f8f9fa; padding: 20px; border-radius: 10px; margin-bottom: 30px; }
             .stats-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; }
@@ -1389,176 +4309,2061 @@ function createBioDocument(formData) {
         </style>
     </head>
     <body>
-        <h1>${formData.characterName || 'Character Name'}</h1>
+        <h1>${escapeHtml(formData.characterName || 'Character Name')}</h1>
         ${imageHtml}
         
-        <div class="character-sheet">
-            <h2>Character Sheet</h2>
-            <div class="section">
-                <div class="label">Player:</div>
-                <div class="content">${formData.playerName || 'N/A'}</div>
+        <div class="character-sheet">
+            <h2>Character Sheet</h2>
+            <div class="section">
+                <div class="label">Player:</div>
+                <div class="content">${show(formData.playerName)}</div>
+            </div>
+            <div class="section">
+                <div class="label">Sex:</div>
+                <div class="content">${show(formData.sex)}</div>
+            </div>
+            <div class="section">
+                <div class="label">Level:</div>
+                <div class="content">${show(formData.level)}</div>
+            </div>
+            <div class="section">
+                <div class="label">Ancestry:</div>
+                <div class="content">${show(formData.ancestry)}</div>
+            </div>
+            <div class="section">
+                <div class="label">Alignment:</div>
+                <div class="content">${show(formatChoice(formData.alignment))}</div>
+            </div>
+            
+            <h3>Attributes</h3>
+            <div class="stats-grid">
+                <div><strong>Strength:</strong> ${show(formData.strength)}</div>
+                <div><strong>Speed:</strong> ${show(formData.speed)}</div>
+                <div><strong>Intellect:</strong> ${show(formData.intellect)}</div>
+                <div><strong>Willpower:</strong> ${show(formData.willpower)}</div>
+                <div><strong>Awareness:</strong> ${show(formData.awareness)}</div>
+                <div><strong>Presence:</strong> ${show(formData.presence)}</div>
+            </div>
+
+            <h3>Defences &amp; Stats</h3>
+            <div class="stats-grid">
+                <div><strong>Defences:</strong> ${escapeHtml(describeDefences(formData))}</div>
+                <div><strong>Health:</strong> ${escapeHtml(formatDerivedStat(formData, 'health'))}</div>
+                <div><strong>Focus:</strong> ${escapeHtml(formatDerivedStat(formData, 'focus'))}</div>
+                <div><strong>Marks:</strong> ${show(formData.marks)}</div>
+                <div><strong>Lifting Capacity:</strong> ${escapeHtml(formatDerivedStat(formData, 'liftingCapacity'))}</div>
+                <div><strong>Movement:</strong> ${escapeHtml(formatDerivedStat(formData, 'movement'))}</div>
+                <div><strong>Recovery Die:</strong> ${escapeHtml(formatDerivedStat(formData, 'recoveryDie'))}</div>
+                <div><strong>Senses Range:</strong> ${escapeHtml(formatDerivedStat(formData, 'sensesRange'))}</div>
+            </div>
+
+            ${[
+                ['Expertises', formData.expertises],
+                ['Talents', formData.talents],
+                ['Weapons', formData.weapons],
+                ['Armor &amp; Equipment', formData.armorEquipment],
+                ['Conditions &amp; Injuries', formData.conditionsInjuries],
+                ['Connections', formData.connections]
+            ].map(([label, value]) => `
+            <div class="section">
+                <div class="label">${label}:</div>
+                <div class="content">${show(value)}</div>
+            </div>`).join('')}
+        </div>
+        
+        <h2>Character Bio</h2>
+        
+        <div class="section">
+            <div class="label">Appearance:</div>
+            <div class="content">${show(formData.appearance)}</div>
+        </div>
+        
+        <div class="section">
+            <div class="label">Background:</div>
+            <div class="content">${show(formData.background)}</div>
+        </div>
+        
+        <div class="section">
+            <div class="label">Personality:</div>
+            <div class="content">${show(formData.personality)}</div>
+        </div>
+        
+        <div class="section">
+            <div class="label">Affiliations:</div>
+            <div class="content">${show(formData.affiliations)}</div>
+        </div>
+        
+        <h2>Roleplaying</h2>
+        
+        <div class="section">
+            <div class="label">Catchphrase:</div>
+            <div class="content">${show(formData.catchphrase)}</div>
+        </div>
+        
+        <div class="section">
+            <div class="label">Language Quirks:</div>
+            <div class="content">${show(formData.languageQuirks)}</div>
+        </div>
+        
+        <div class="section">
+            <div class="label">Superstitions:</div>
+            <div class="content">${show(formData.superstitions)}</div>
+        </div>
+        
+        <div class="section">
+            <div class="label">Diet:</div>
+            <div class="content">${show(formData.diet)}</div>
+        </div>
+        
+        <div class="section">
+            <div class="label">Secrets:</div>
+            <div class="content">${show(formData.secrets)}</div>
+        </div>
+        
+        <div class="section">
+            <div class="label">Character Flaws:</div>
+            <div class="content">${show(formData.characterFlaws)}</div>
+        </div>
+        
+        <div class="section">
+            <div class="label">What Excites the Character:</div>
+            <div class="content">${show(formData.whatExcites)}</div>
+        </div>
+        
+        <div class="section">
+            <div class="label">Dynamic Character Goals:</div>
+            <div class="content">${show(formData.dynamicGoals)}</div>
+        </div>
+        
+        <div class="section">
+            <div class="label">What do I MOST want?:</div>
+            <div class="content">${show(formData.mostWant)}</div>
+        </div>
+        
+        <div class="section">
+            <div class="label">What WON'T I do to get what I most want?:</div>
+            <div class="content">${show(formData.wontDo)}</div>
+        </div>
+    </body>
+    </html>`;
+}
+
+// Add modal expansion functionality for textareas
+function addModalExpansion(field, element) {
+    // Create expand button
+    const expandBtn = document.createElement('button');
+    expandBtn.type = 'button';
+    expandBtn.className = 'expand-btn';
+    expandBtn.innerHTML = '⤢';
+    expandBtn.title = 'Expand to full screen';
+
+    // Insert expand button
+    element.parentNode.style.position = 'relative';
+    element.parentNode.appendChild(expandBtn);
+
+    expandBtn.addEventListener('click', () => openTextModal(field, element));
+}
+
+// Add per-field tools (selection, regenerate) next to the version controls
+function addFieldTools(field, element) {
+    const tools = document.createElement('div');
+    tools.className = 'field-tools';
+
+    const selectBox = document.createElement('input');
+    selectBox.type = 'checkbox';
+    selectBox.className = 'field-select';
+    selectBox.id = `${field}-select`;
+    selectBox.title = 'Select for regeneration';
+    selectBox.addEventListener('change', updateFieldToolsState);
+
+    const regenerateBtn = document.createElement('button');
+    regenerateBtn.type = 'button';
+    regenerateBtn.className = 'field-regenerate';
+    regenerateBtn.id = `${field}-regenerate`;
+    regenerateBtn.innerHTML = '⟳';
+    regenerateBtn.title = 'Regenerate this field';
+    regenerateBtn.addEventListener('click', () => regenerateFields([field]));
+
+    const lockBtn = document.createElement('button');
+    lockBtn.type = 'button';
+    lockBtn.className = 'field-lock';
+    lockBtn.id = `${field}-lock`;
+    lockBtn.addEventListener('click', () => setFieldLocked(field, !lockedFields.has(field)));
+
+    const historyBtn = document.createElement('button');
+    historyBtn.type = 'button';
+    historyBtn.className = 'field-history';
+    historyBtn.id = `${field}-history`;
+    historyBtn.innerHTML = '⇆';
+    historyBtn.title = 'Compare versions and merge changes';
+    historyBtn.style.display = 'none';
+    historyBtn.addEventListener('click', () => openHistoryPanel(field));
+
+    // The version controls move into the toolbar so everything sits on one row
+    const versionControls = document.getElementById(`${field}-versions`);
+    tools.appendChild(selectBox);
+    tools.appendChild(regenerateBtn);
+    tools.appendChild(lockBtn);
+    tools.appendChild(historyBtn);
+    if (versionControls) {
+        tools.appendChild(versionControls);
+    }
+
+    element.parentNode.appendChild(tools);
+    updateLockDisplay(field);
+}
+
+// Lock or unlock a field as canon for AI generation
+function setFieldLocked(field, locked) {
+    if (locked) {
+        lockedFields.add(field);
+        const selectBox = document.getElementById(`${field}-select`);
+        if (selectBox) selectBox.checked = false;
+    } else {
+        lockedFields.delete(field);
+    }
+
+    updateLockDisplay(field);
+    updateFieldToolsState();
+}
+
+function updateLockDisplay(field) {
+    const element = document.getElementById(field);
+    const lockBtn = document.getElementById(`${field}-lock`);
+    const locked = lockedFields.has(field);
+
+    if (element) {
+        element.classList.toggle('locked', locked);
+    }
+    if (lockBtn) {
+        lockBtn.innerHTML = locked ? '🔒' : '🔓';
+        lockBtn.title = locked ? 'Locked - AI will not change this field. Click to unlock.' : 'Lock this field so AI generation keeps it as written';
+        lockBtn.setAttribute('aria-pressed', locked ? 'true' : 'false');
+        lockBtn.classList.toggle('active', locked);
+    }
+}
+
+function getSelectedFields() {
+    return BIO_FIELDS.filter(field => {
+        const selectBox = document.getElementById(`${field}-select`);
+        return selectBox && selectBox.checked;
+    });
+}
+
+function clearFieldSelection() {
+    BIO_FIELDS.forEach(field => {
+        const selectBox = document.getElementById(`${field}-select`);
+        if (selectBox) selectBox.checked = false;
+    });
+    updateFieldToolsState();
+}
+
+// Keep the regenerate controls in step with the selection and generation state
+function updateFieldToolsState() {
+    const selected = getSelectedFields();
+
+    BIO_FIELDS.forEach(field => {
+        const regenerateBtn = document.getElementById(`${field}-regenerate`);
+        const selectBox = document.getElementById(`${field}-select`);
+        const locked = lockedFields.has(field);
+        if (regenerateBtn) regenerateBtn.disabled = generationInProgress || locked;
+        if (selectBox) selectBox.disabled = generationInProgress || locked;
+    });
+
+    regenerateSelectedBtn.style.display = selected.length ? 'block' : 'none';
+    regenerateSelectedBtn.disabled = generationInProgress;
+    regenerateSelectedBtn.textContent = `Regenerate ${selected.length} Field${selected.length === 1 ? '' : 's'}`;
+}
+
+// Open text editing modal
+function openTextModal(field, element) {
+    // Create simple modal - just a big textarea with shrink button
+    const modal = document.createElement('div');
+    modal.className = 'text-modal-overlay';
+    modal.innerHTML = `
+        <div class="text-modal-content">
+            <button class="text-modal-shrink">⤡</button>
+            <textarea class="text-modal-textarea"></textarea>
+        </div>
+    `;
+
+    // Imported characters can carry markup in their text, so it goes in as a value
+    const textarea = modal.querySelector('.text-modal-textarea');
+    textarea.value = element.value;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const shrinkBtn = modal.querySelector('.text-modal-shrink');
+
+    // Focus and position cursor at end
+    setTimeout(() => {
+        textarea.focus();
+        textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    }, 100);
+
+    // Real-time sync - no save/cancel needed
+    textarea.addEventListener('input', () => {
+        element.value = textarea.value;
+        onFieldEdit(field);
+    });
+
+    // Simple shrink handler
+    const closeModal = () => {
+        document.body.removeChild(modal);
+        document.body.style.overflow = 'auto';
+    };
+
+    shrinkBtn.addEventListener('click', closeModal);
+
+    // Close on Escape
+    const escapeHandler = (e) => {
+        if (e.key === 'Escape') {
+            closeModal();
+            document.removeEventListener('keydown', escapeHandler);
+        }
+    };
+    document.addEventListener('keydown', escapeHandler);
+}
+
+// Field history panel - every saved version of one bio field, a side-by-side word diff
+// between any two of them, and a merge that takes chosen hunks into the current text
+const HISTORY_TYPE_LABELS = { blank: 'Blank', user: 'Your edit', ai: 'AI' };
+
+// Past this many token pairs the diff gives up on detail and treats the middle as one change
+const MAX_DIFF_CELLS = 4000000;
+
+// Words and the whitespace between them, so joining the tokens gives back the exact text
+function tokenizeWords(text) {
+    return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+// Word-level diff of two texts as a list of { type: 'equal' | 'delete' | 'insert', text } runs
+function diffWords(oldText, newText) {
+    const a = tokenizeWords(oldText);
+    const b = tokenizeWords(newText);
+
+    // Common ends don't need the table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = [];
+    const push = (type, token) => {
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) last.text += token;
+        else ops.push({ type, text: token });
+    };
+
+    a.slice(0, start).forEach(token => push('equal', token));
+
+    const rows = endA - start;
+    const cols = endB - start;
+    if (rows * cols > MAX_DIFF_CELLS) {
+        a.slice(start, endA).forEach(token => push('delete', token));
+        b.slice(start, endB).forEach(token => push('insert', token));
+    } else {
+        // lengths[i * (cols + 1) + j] = longest common run of a[start + i..] and b[start + j..]
+        const lengths = new Uint32Array((rows + 1) * (cols + 1));
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lengths[i * (cols + 1) + j] = a[start + i] === b[start + j]
+                    ? lengths[(i + 1) * (cols + 1) + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * (cols + 1) + j], lengths[i * (cols + 1) + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < rows || j < cols) {
+            if (i < rows && j < cols && a[start + i] === b[start + j]) {
+                push('equal', a[start + i]);
+                i++;
+                j++;
+            } else if (i < rows && (j === cols || lengths[(i + 1) * (cols + 1) + j] >= lengths[i * (cols + 1) + j + 1])) {
+                push('delete', a[start + i]);
+                i++;
+            } else {
+                push('insert', b[start + j]);
+                j++;
+            }
+        }
+    }
+
+    a.slice(endA).forEach(token => push('equal', token));
+    return ops;
+}
+
+// Group diff runs into equal text and change hunks ({ removed, added }).
+// A lone space between two changes joins them, so "the old grey" -> "a new red" is one hunk.
+function groupDiffHunks(ops) {
+    const parts = [];
+    ops.forEach((op, index) => {
+        const last = parts[parts.length - 1];
+        const bridgesChanges = op.type === 'equal' && !op.text.trim()
+            && last && last.hunk && ops[index + 1] && ops[index + 1].type !== 'equal';
+
+        if (op.type === 'equal' && !bridgesChanges) {
+            parts.push({ text: op.text });
+            return;
+        }
+        const hunk = last && last.hunk ? last : { hunk: true, removed: '', added: '' };
+        if (hunk !== last) parts.push(hunk);
+        if (op.type !== 'insert') hunk.removed += op.text;
+        if (op.type !== 'delete') hunk.added += op.text;
+    });
+    return parts;
+}
+
+// Rebuild the old text, taking the new side of each hunk whose index is in accepted
+function mergeDiffHunks(parts, accepted) {
+    let hunkIndex = 0;
+    return parts.map(part => {
+        if (!part.hunk) return part.text;
+        return accepted.has(hunkIndex++) ? part.added : part.removed;
+    }).join('');
+}
+
+function describeHistoryEntry(entry, index) {
+    const when = entry.timestamp ? new Date(entry.timestamp).toLocaleString() : '';
+    // Versions made from an older one are branches - say where they came from
+    const branch = Number.isInteger(entry.parent) && entry.parent !== index - 1 ? `branched from v${entry.parent + 1}` : '';
+    return [`v${index + 1}`, HISTORY_TYPE_LABELS[entry.type] || entry.type, when, branch].filter(Boolean).join(' · ');
+}
+
+function openHistoryPanel(field) {
+    const element = document.getElementById(field);
+    const history = fieldHistory[field];
+
+    // Unsaved edits since the current version show up as their own entry
+    const entries = history.map((entry, index) => ({
+        key: String(index),
+        label: describeHistoryEntry(entry, index) + (index === currentVersionIndex[field] ? ' (current)' : ''),
+        value: entry.value || ''
+    }));
+    const savedCurrent = history[currentVersionIndex[field]];
+    let currentKey = String(currentVersionIndex[field]);
+    if (!savedCurrent || element.value !== savedCurrent.value) {
+        entries.push({ key: 'current', label: 'Current text (unsaved edits)', value: element.value });
+        currentKey = 'current';
+    }
+
+    // Compare the current text with the newest version that says something different
+    const currentValue = entries.find(entry => entry.key === currentKey).value;
+    const other = [...entries].reverse().find(entry => entry.value !== currentValue)
+        || entries.find(entry => entry.key !== currentKey)
+        || entries[0];
+    const selection = { from: currentKey, to: other.key };
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay history-overlay';
+    modal.innerHTML = `
+        <div class="modal-content history-modal" role="dialog" aria-modal="true">
+            <div class="modal-header">
+                <h2></h2>
+                <button type="button" class="modal-close" aria-label="Close">&times;</button>
             </div>
-            <div class="section">
-                <div class="label">Sex:</div>
-                <div class="content">${formData.sex || 'N/A'}</div>
+            <div class="modal-body">
+                <table class="history-list">
+                    <thead><tr><th>From</th><th>To</th><th>Version</th></tr></thead>
+                    <tbody></tbody>
+                </table>
+                <div class="history-diff">
+                    <div class="history-pane history-from"></div>
+                    <div class="history-pane history-to"></div>
+                </div>
+                <div class="history-merge">
+                    <p class="history-merge-hint"></p>
+                    <ul class="history-hunks"></ul>
+                    <button type="button" class="btn btn-small history-apply">Apply Selected Changes</button>
+                </div>
+            </div>
+        </div>
+    `;
+    modal.querySelector('h2').textContent = `${BIO_FIELD_LABELS[field]} History`;
+
+    const tbody = modal.querySelector('tbody');
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="radio" name="history-from"></td>
+            <td><input type="radio" name="history-to"></td>
+            <td></td>
+        `;
+        const [fromRadio, toRadio] = row.querySelectorAll('input');
+        fromRadio.value = entry.key;
+        toRadio.value = entry.key;
+        fromRadio.checked = entry.key === selection.from;
+        toRadio.checked = entry.key === selection.to;
+        row.lastElementChild.textContent = entry.label;
+        row.title = entry.value.slice(0, 200);
+        tbody.appendChild(row);
+    });
+
+    const fromPane = modal.querySelector('.history-from');
+    const toPane = modal.querySelector('.history-to');
+    const hunkList = modal.querySelector('.history-hunks');
+    const hint = modal.querySelector('.history-merge-hint');
+    const applyBtn = modal.querySelector('.history-apply');
+    let parts = [];
+
+    const renderDiff = () => {
+        const from = entries.find(entry => entry.key === selection.from);
+        const to = entries.find(entry => entry.key === selection.to);
+        parts = groupDiffHunks(diffWords(from.value, to.value));
+
+        fromPane.replaceChildren();
+        toPane.replaceChildren();
+        hunkList.replaceChildren();
+        const mark = (tag, text) => {
+            const node = document.createElement(tag);
+            node.textContent = text;
+            return node;
+        };
+
+        let hunkCount = 0;
+        parts.forEach(part => {
+            if (!part.hunk) {
+                fromPane.append(part.text);
+                toPane.append(part.text);
+                return;
+            }
+            if (part.removed) fromPane.append(mark('del', part.removed));
+            if (part.added) toPane.append(mark('ins', part.added));
+
+            const item = document.createElement('li');
+            item.innerHTML = '<label><input type="checkbox"> <del></del> → <ins></ins></label>';
+            item.querySelector('input').value = String(hunkCount++);
+            item.querySelector('del').textContent = part.removed.trim() || '(nothing)';
+            item.querySelector('ins').textContent = part.added.trim() || '(nothing)';
+            hunkList.appendChild(item);
+        });
+
+        // Merging only makes sense into the text the field holds now
+        const canMerge = selection.from === currentKey && hunkCount > 0;
+        hunkList.hidden = !canMerge;
+        applyBtn.hidden = !canMerge;
+        if (!hunkCount) {
+            hint.textContent = 'These versions are identical.';
+        } else if (!canMerge) {
+            hint.textContent = `Choose the ${currentKey === 'current' ? 'current text' : 'current version'} as "From" to merge changes into it.`;
+        } else {
+            hint.textContent = 'Tick the changes to take into the current text:';
+        }
+    };
+
+    tbody.addEventListener('change', (e) => {
+        selection[e.target.name === 'history-from' ? 'from' : 'to'] = e.target.value;
+        renderDiff();
+    });
+
+    const closePanel = () => {
+        modal.remove();
+        document.body.style.overflow = 'auto';
+        document.removeEventListener('keydown', escapeHandler);
+    };
+    const escapeHandler = (e) => {
+        if (e.key === 'Escape') closePanel();
+    };
+
+    applyBtn.addEventListener('click', () => {
+        if (element.disabled) {
+            showToast({ type: 'warning', message: 'Please wait for the current generation to finish before merging.' });
+            return;
+        }
+        const accepted = new Set(Array.from(hunkList.querySelectorAll('input:checked'), input => Number(input.value)));
+        if (!accepted.size) {
+            showToast({ type: 'warning', message: 'Tick at least one change to merge.' });
+            return;
+        }
+
+        const merged = mergeDiffHunks(parts, accepted);
+        commitUserEdit(field);
+        const before = { value: element.value, index: currentVersionIndex[field] };
+        saveVersionWithOriginal(field, element.value, merged, 'user');
+        element.value = merged;
+        recordUndoStep([{ field, before, after: { value: merged, index: currentVersionIndex[field] } }]);
+        updateFieldVisualState(field, 'user');
+        closePanel();
+        showToast({ type: 'success', message: `Merged ${accepted.size} change${accepted.size === 1 ? '' : 's'} into ${BIO_FIELD_LABELS[field]}.` });
+    });
+
+    modal.querySelector('.modal-close').addEventListener('click', closePanel);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closePanel();
+    });
+    document.addEventListener('keydown', escapeHandler);
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+    renderDiff();
+}
+
+// Character snapshots - the whole character (sheet, every bio field, portrait) as it stood
+// after each bio generation or manual checkpoint, so a past state comes back in one step
+const MAX_SNAPSHOTS = 30;
+const SNAPSHOT_KINDS = { generation: 'Generation', checkpoint: 'Checkpoint' };
+
+const snapshotList = document.getElementById('snapshotList');
+const snapshotEmpty = document.getElementById('snapshotEmpty');
+
+// Oldest first; each is { id, kind, label, createdAt, formData, currentVersionIndex, derivedOverrides, portrait }
+let characterSnapshots = [];
+
+function recordSnapshot(kind, label) {
+    flushUserEdits();
+    characterSnapshots.push({
+        id: createCharacterId(),
+        kind,
+        label,
+        createdAt: new Date(),
+        formData: collectFormData(),
+        currentVersionIndex: { ...currentVersionIndex },
+        derivedOverrides: Array.from(derivedOverrides),
+        // Blobs never change, so snapshots can share the one on screen
+        portrait: currentPortraitBlob
+    });
+    if (characterSnapshots.length > MAX_SNAPSHOTS) {
+        characterSnapshots.shift();
+    }
+    renderSnapshots();
+}
+
+function describeGenerationSnapshot(fields) {
+    if (fields.length === BIO_FIELDS.length) return 'Generated bio';
+    const names = fields.map(field => BIO_FIELD_LABELS[field]);
+    return `Regenerated ${names.length > 3 ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more` : names.join(', ')}`;
+}
+
+function addCheckpoint() {
+    const label = prompt('Name this checkpoint:', `Checkpoint ${characterSnapshots.filter(snapshot => snapshot.kind === 'checkpoint').length + 1}`);
+    if (!label || !label.trim()) return;
+    recordSnapshot('checkpoint', label.trim());
+    showToast({ type: 'success', message: `Saved checkpoint ${label.trim()}.` });
+}
+
+// Put a bio field back to a snapshot's text. Fields land on the matching version when the
+// history still has it, or gain a new version when it doesn't, so prev/next stays truthful.
+function restoreSnapshotField(field, snapshot) {
+    const element = document.getElementById(field);
+    const value = snapshot.formData[field] || '';
+    const before = { value: element.value, index: currentVersionIndex[field] };
+    if (before.value === value) return null;
+
+    const history = fieldHistory[field];
+    const savedIndex = snapshot.currentVersionIndex[field];
+    const index = history[savedIndex] && history[savedIndex].value === value
+        ? savedIndex
+        : history.map(entry => entry.value).lastIndexOf(value);
+
+    if (index >= 0) {
+        applyFieldPosition(field, { value, index });
+    } else {
+        saveVersionWithOriginal(field, element.value, value, 'user');
+        element.value = value;
+        updateFieldVisualState(field, 'user');
+    }
+    return { field, before, after: { value, index: currentVersionIndex[field] } };
+}
+
+function restoreSnapshot(id) {
+    const snapshot = characterSnapshots.find(entry => entry.id === id);
+    if (!snapshot) return;
+    if (generationInProgress) {
+        showToast({ type: 'warning', message: 'Please wait for the current generation to finish before restoring a snapshot.' });
+        return;
+    }
+
+    // Keep the way back: the character as it is now becomes a checkpoint of its own
+    recordSnapshot('checkpoint', `Before restoring ${snapshot.label}`);
+
+    CHARACTER_SHEET_FIELDS.forEach(field => {
+        const element = document.getElementById(field);
+        if (element) element.value = snapshot.formData[field] || '';
+    });
+    setAlignmentSelection(snapshot.formData.alignment || '');
+    derivedOverrides.clear();
+    snapshot.derivedOverrides.forEach(field => derivedOverrides.add(field));
+    refreshDerivedStats();
+    refreshBuildValidation();
+
+    // The bio comes back as a single undo step
+    recordUndoStep(BIO_FIELDS.map(field => restoreSnapshotField(field, snapshot)).filter(Boolean));
+
+    if (snapshot.portrait) {
+        setCurrentPortrait(snapshot.portrait);
+    } else {
+        currentPortraitIndex = -1;
+        clearPortrait();
+        renderPortraitGallery();
+    }
+    const hasBio = BIO_FIELDS.some(field => fieldHistory[field].length > 0);
+    generateImageBtn.style.display = hasBio || portraitHistory.length ? 'block' : 'none';
+    downloadBioBtn.style.display = hasBio || portraitHistory.length ? 'block' : 'none';
+
+    showToast({ type: 'success', message: `Restored ${snapshot.label}.` });
+}
+
+function deleteSnapshot(id) {
+    const snapshot = characterSnapshots.find(entry => entry.id === id);
+    if (!snapshot || !confirm(`Delete the snapshot "${snapshot.label}"?`)) return;
+    characterSnapshots = characterSnapshots.filter(entry => entry !== snapshot);
+    renderSnapshots();
+}
+
+// Read-only look at a snapshot, with the bio fields that differ from now marked
+function previewSnapshot(id) {
+    const snapshot = characterSnapshots.find(entry => entry.id === id);
+    if (!snapshot) return;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay snapshot-overlay';
+    modal.innerHTML = `
+        <div class="modal-content snapshot-modal" role="dialog" aria-modal="true">
+            <div class="modal-header">
+                <h2></h2>
+                <button type="button" class="modal-close" aria-label="Close">&times;</button>
+            </div>
+            <div class="modal-body">
+                <p class="snapshot-meta"></p>
+                <div class="snapshot-preview">
+                    <img class="snapshot-portrait" alt="Portrait in this snapshot" hidden>
+                    <dl class="snapshot-sheet"></dl>
+                </div>
+                <div class="snapshot-bio"></div>
+                <button type="button" class="btn btn-small snapshot-restore">Restore This Snapshot</button>
+            </div>
+        </div>
+    `;
+    modal.querySelector('h2').textContent = snapshot.label;
+    modal.querySelector('.snapshot-meta').textContent =
+        `${SNAPSHOT_KINDS[snapshot.kind]} · ${new Date(snapshot.createdAt).toLocaleString()}`;
+
+    let portraitUrl = null;
+    if (snapshot.portrait) {
+        portraitUrl = URL.createObjectURL(snapshot.portrait);
+        const image = modal.querySelector('.snapshot-portrait');
+        image.src = portraitUrl;
+        image.hidden = false;
+    }
+
+    const sheet = modal.querySelector('.snapshot-sheet');
+    CHARACTER_SHEET_FIELDS.forEach(field => {
+        const value = snapshot.formData[field];
+        if (!value) return;
+        const term = document.createElement('dt');
+        const label = document.querySelector(`label[for="${field}"]`);
+        term.textContent = label ? label.textContent : field;
+        const definition = document.createElement('dd');
+        definition.textContent = value;
+        sheet.append(term, definition);
+    });
+
+    const bio = modal.querySelector('.snapshot-bio');
+    BIO_FIELDS.forEach(field => {
+        const value = snapshot.formData[field] || '';
+        if (!value) return;
+        const section = document.createElement('section');
+        const heading = document.createElement('h3');
+        heading.textContent = BIO_FIELD_LABELS[field];
+        if (value !== document.getElementById(field).value) {
+            const badge = document.createElement('small');
+            badge.className = 'snapshot-changed';
+            badge.textContent = 'differs from now';
+            heading.append(' ', badge);
+        }
+        const text = document.createElement('p');
+        text.textContent = value;
+        section.append(heading, text);
+        bio.appendChild(section);
+    });
+
+    const closePreview = () => {
+        if (portraitUrl) URL.revokeObjectURL(portraitUrl);
+        modal.remove();
+        document.body.style.overflow = 'auto';
+        document.removeEventListener('keydown', escapeHandler);
+    };
+    const escapeHandler = (e) => {
+        if (e.key === 'Escape') closePreview();
+    };
+
+    modal.querySelector('.snapshot-restore').addEventListener('click', () => {
+        closePreview();
+        restoreSnapshot(id);
+    });
+    modal.querySelector('.modal-close').addEventListener('click', closePreview);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closePreview();
+    });
+    document.addEventListener('keydown', escapeHandler);
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+}
+
+function renderSnapshots() {
+    if (!snapshotList) return;
+    snapshotEmpty.style.display = characterSnapshots.length ? 'none' : 'block';
+    snapshotList.innerHTML = '';
+
+    // Newest at the top
+    [...characterSnapshots].reverse().forEach(snapshot => {
+        const item = document.createElement('li');
+        item.className = `roster-item snapshot-item snapshot-${snapshot.kind}`;
+        item.innerHTML = `
+            <div class="roster-item-info">
+                <span class="roster-item-name"></span>
+                <small class="roster-item-details"></small>
             </div>
-            <div class="section">
-                <div class="label">Level:</div>
-                <div class="content">${formData.level || 'N/A'}</div>
+            <div class="roster-item-actions">
+                <button type="button" data-action="preview">Preview</button>
+                <button type="button" data-action="restore">Restore</button>
+                <button type="button" data-action="delete">Delete</button>
             </div>
-            <div class="section">
-                <div class="label">Ancestry:</div>
-                <div class="content">${formData.ancestry || 'N/A'}</div>
+        `;
+        item.querySelector('.roster-item-name').textContent = snapshot.label;
+        item.querySelector('.roster-item-details').textContent = [
+            SNAPSHOT_KINDS[snapshot.kind],
+            new Date(snapshot.createdAt).toLocaleString(),
+            snapshot.portrait ? 'with portrait' : ''
+        ].filter(Boolean).join(' · ');
+        item.dataset.id = snapshot.id;
+        snapshotList.appendChild(item);
+    });
+}
+
+if (snapshotList) {
+    snapshotList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const id = button.closest('.snapshot-item').dataset.id;
+        const actions = {
+            preview: previewSnapshot,
+            restore: restoreSnapshot,
+            delete: deleteSnapshot
+        };
+        actions[button.dataset.action](id);
+    });
+
+    document.getElementById('snapshotCheckpoint').addEventListener('click', addCheckpoint);
+    renderSnapshots();
+}
+
+// Character roster - saved characters live in IndexedDB so a reload doesn't lose them
+const ROSTER_DB_NAME = 'roshar-character-roster';
+const ROSTER_DB_VERSION = 1;
+const ROSTER_STORE = 'characters';
+
+const rosterList = document.getElementById('rosterList');
+const rosterEmpty = document.getElementById('rosterEmpty');
+const rosterCurrent = document.getElementById('rosterCurrent');
+
+// Roster id of the character being edited (null until first save)
+let currentCharacterId = null;
+let rosterDBPromise = null;
+
+function openRosterDB() {
+    if (!rosterDBPromise) {
+        rosterDBPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(ROSTER_DB_NAME, ROSTER_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(ROSTER_STORE)) {
+                    db.createObjectStore(ROSTER_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return rosterDBPromise;
+}
+
+// Run one request against the roster store and resolve once its transaction commits
+async function rosterRequest(mode, makeRequest) {
+    const db = await openRosterDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(ROSTER_STORE, mode);
+        const request = makeRequest(transaction.objectStore(ROSTER_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function getRosterCharacter(id) {
+    return rosterRequest('readonly', store => store.get(id));
+}
+
+function putRosterCharacter(record) {
+    return rosterRequest('readwrite', store => store.put(record));
+}
+
+function deleteRosterCharacter(id) {
+    return rosterRequest('readwrite', store => store.delete(id));
+}
+
+async function listRosterCharacters() {
+    const records = await rosterRequest('readonly', store => store.getAll());
+    return records.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function createCharacterId() {
+    if (window.crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `char-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Save the form as the current roster character, creating it on first save
+async function saveCurrentCharacter() {
+    const state = captureCharacterState();
+    const now = Date.now();
+    const existing = currentCharacterId ? await getRosterCharacter(currentCharacterId) : null;
+
+    const record = {
+        id: existing ? existing.id : createCharacterId(),
+        name: existing ? existing.name : (state.formData.characterName.trim() || 'Unnamed Character'),
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+        state
+    };
+
+    await putRosterCharacter(record);
+    currentCharacterId = record.id;
+    await renderRoster();
+    return record;
+}
+
+async function openRosterCharacter(id) {
+    if (generationInProgress) {
+        showToast({ type: 'warning', message: 'Please wait for the current generation to finish before switching characters.' });
+        return;
+    }
+
+    const record = await getRosterCharacter(id);
+    if (!record) {
+        showBanner('rosterNotice', { type: 'error', message: 'That character could not be found. It may have been deleted in another tab.' });
+        await renderRoster();
+        return;
+    }
+
+    applyCharacterState(record.state);
+    currentCharacterId = record.id;
+    await renderRoster();
+}
+
+async function renameRosterCharacter(id) {
+    const record = await getRosterCharacter(id);
+    if (!record) return;
+
+    const name = prompt('Rename character:', record.name);
+    if (!name || !name.trim()) return;
+
+    record.name = name.trim();
+    record.updatedAt = Date.now();
+    await putRosterCharacter(record);
+    await renderRoster();
+}
+
+async function duplicateRosterCharacter(id) {
+    const record = await getRosterCharacter(id);
+    if (!record) return;
+
+    const now = Date.now();
+    await putRosterCharacter({
+        ...record,
+        id: createCharacterId(),
+        name: `${record.name} (Copy)`,
+        createdAt: now,
+        updatedAt: now
+    });
+    await renderRoster();
+}
+
+async function removeRosterCharacter(id) {
+    const record = await getRosterCharacter(id);
+    if (!record || !confirm(`Delete "${record.name}"? This cannot be undone.`)) return;
+
+    await deleteRosterCharacter(id);
+    if (currentCharacterId === id) {
+        currentCharacterId = null;
+    }
+    await renderRoster();
+}
+
+// Clear the form for a fresh character
+function startNewCharacter() {
+    if (generationInProgress) {
+        showToast({ type: 'warning', message: 'Please wait for the current generation to finish before starting a new character.' });
+        return;
+    }
+    if (!confirm('Start a new character? Unsaved changes to the current one will be lost.')) return;
+
+    const startingLevel = String(getSelectedCampaignProfile().startingLevel);
+    applyCharacterState({ formData: { level: startingLevel }, fieldHistory: {}, currentVersionIndex: {}, portrait: null });
+    currentCharacterId = null;
+    renderRoster().catch(handleRosterError);
+}
+
+async function renderRoster() {
+    const records = await listRosterCharacters();
+    const current = records.find(record => record.id === currentCharacterId);
+
+    rosterCurrent.textContent = current ? `Editing: ${current.name}` : 'Unsaved character';
+    rosterEmpty.style.display = records.length ? 'none' : 'block';
+    rosterList.innerHTML = '';
+
+    records.forEach(record => {
+        const formData = record.state.formData || {};
+        const details = [
+            formData.level ? `Level ${formData.level}` : '',
+            formData.ancestry,
+            `Saved ${new Date(record.updatedAt).toLocaleString()}`
+        ].filter(Boolean).join(' · ');
+
+        const item = document.createElement('li');
+        item.className = 'roster-item' + (record.id === currentCharacterId ? ' current' : '');
+        item.innerHTML = `
+            <div class="roster-item-info">
+                <span class="roster-item-name"></span>
+                <small class="roster-item-details"></small>
             </div>
-            
-            <h3>Attributes</h3>
-            <div class="stats-grid">
-                <div><strong>Strength:</strong> ${formData.strength || 'N/A'}</div>
-                <div><strong>Speed:</strong> ${formData.speed || 'N/A'}</div>
-                <div><strong>Intellect:</strong> ${formData.intellect || 'N/A'}</div>
-                <div><strong>Willpower:</strong> ${formData.willpower || 'N/A'}</div>
-                <div><strong>Awareness:</strong> ${formData.awareness || 'N/A'}</div>
-                <div><strong>Presence:</strong> ${formData.presence || 'N/A'}</div>
+            <div class="roster-item-actions">
+                <button type="button" data-action="open">Open</button>
+                <button type="button" data-action="rename">Rename</button>
+                <button type="button" data-action="duplicate">Duplicate</button>
+                <button type="button" data-action="delete">Delete</button>
             </div>
-        </div>
-        
-        <h2>Character Bio</h2>
-        
-        <div class="section">
-            <div class="label">Appearance:</div>
-            <div class="content">${formData.appearance || 'N/A'}</div>
-        </div>
-        
-        <div class="section">
-            <div class="label">Background:</div>
-            <div class="content">${formData.background || 'N/A'}</div>
-        </div>
-        
-        <div class="section">
-            <div class="label">Personality:</div>
-            <div class="content">${formData.personality || 'N/A'}</div>
-        </div>
-        
-        <div class="section">
-            <div class="label">Affiliations:</div>
-            <div class="content">${formData.affiliations || 'N/A'}</div>
-        </div>
-        
-        <h2>Roleplaying</h2>
-        
-        <div class="section">
-            <div class="label">Catchphrase:</div>
-            <div class="content">${formData.catchphrase || 'N/A'}</div>
-        </div>
-        
-        <div class="section">
-            <div class="label">Language Quirks:</div>
-            <div class="content">${formData.languageQuirks || 'N/A'}</div>
-        </div>
-        
-        <div class="section">
-            <div class="label">Superstitions:</div>
-            <div class="content">${formData.superstitions || 'N/A'}</div>
-        </div>
-        
-        <div class="section">
-            <div class="label">Diet:</div>
-            <div class="content">${formData.diet || 'N/A'}</div>
-        </div>
-        
-        <div class="section">
-            <div class="label">Secrets:</div>
-            <div class="content">${formData.secrets || 'N/A'}</div>
-        </div>
-        
-        <div class="section">
-            <div class="label">Character Flaws:</div>
-            <div class="content">${formData.characterFlaws || 'N/A'}</div>
-        </div>
-        
-        <div class="section">
-            <div class="label">What Excites the Character:</div>
-            <div class="content">${formData.whatExcites || 'N/A'}</div>
-        </div>
-        
-        <div class="section">
-            <div class="label">Dynamic Character Goals:</div>
-            <div class="content">${formData.dynamicGoals || 'N/A'}</div>
-        </div>
-        
-        <div class="section">
-            <div class="label">What do I MOST want?:</div>
-            <div class="content">${formData.mostWant || 'N/A'}</div>
-        </div>
-        
-        <div class="section">
-            <div class="label">What WON'T I do to get what I most want?:</div>
-            <div class="content">${formData.wontDo || 'N/A'}</div>
-        </div>
-    </body>
-    </html>`;
+        `;
+        // Names are user input, so set them as text rather than markup
+        item.querySelector('.roster-item-name').textContent = record.name;
+        item.querySelector('.roster-item-details').textContent = details;
+        item.dataset.id = record.id;
+        rosterList.appendChild(item);
+    });
+}
+
+// Report storage failures instead of letting them vanish in an unhandled rejection
+function handleRosterError(error) {
+    console.error('Roster storage error:', error);
+    showBanner('rosterNotice', {
+        type: 'error',
+        title: 'Could not access saved characters',
+        message: error && error.message ? error.message : String(error)
+    });
+}
+
+if (rosterList) {
+    rosterList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const id = button.closest('.roster-item').dataset.id;
+        const actions = {
+            open: openRosterCharacter,
+            rename: renameRosterCharacter,
+            duplicate: duplicateRosterCharacter,
+            delete: removeRosterCharacter
+        };
+        actions[button.dataset.action](id).catch(handleRosterError);
+    });
+
+    document.getElementById('rosterSave').addEventListener('click', async (e) => {
+        const button = e.currentTarget;
+        button.disabled = true;
+        try {
+            const record = await saveCurrentCharacter();
+            showToast({ type: 'success', message: `Saved ${record.name}.` });
+        } catch (error) {
+            handleRosterError(error);
+        } finally {
+            button.disabled = false;
+        }
+    });
+
+    document.getElementById('rosterNew').addEventListener('click', startNewCharacter);
+
+    if (window.indexedDB) {
+        renderRoster().catch(handleRosterError);
+    } else {
+        document.getElementById('roster').style.display = 'none';
+    }
+}
+
+
+// Character files - full-fidelity JSON export/import for moving characters between machines
+const CHARACTER_FILE_FORMAT = 'roshar-character';
+const CHARACTER_FILE_VERSION = 5;
+const HISTORY_ENTRY_TYPES = ['blank', 'user', 'ai'];
+
+// Each migration upgrades a file from the keyed version to the next one
+const CHARACTER_FILE_MIGRATIONS = {
+    // Version 0: an untagged, flat collectFormData() dump with no history or portrait
+    0: data => {
+        const characterSheet = {};
+        CHARACTER_SHEET_FIELDS.forEach(field => {
+            characterSheet[field] = data[field];
+        });
+
+        const bio = {};
+        BIO_FIELDS.forEach(field => {
+            bio[field] = { value: data[field], currentVersion: 0, history: [] };
+        });
+
+        return {
+            format: CHARACTER_FILE_FORMAT,
+            version: 1,
+            exportedAt: null,
+            characterSheet,
+            bio,
+            portrait: null
+        };
+    },
+
+    // Version 1 -> 2: bio fields gained a locked flag
+    1: data => {
+        const bio = {};
+        BIO_FIELDS.forEach(field => {
+            bio[field] = { ...(data.bio && data.bio[field]), locked: false };
+        });
+        return { ...data, version: 2, bio };
+    },
+
+    // Version 2 -> 3: derived stat overrides are stored instead of guessed
+    2: data => ({
+        ...data,
+        version: 3,
+        derivedOverrides: inferDerivedOverrides(data.characterSheet || {})
+    }),
+
+    // Version 3 -> 4: whole-character snapshots, their portraits stored once each
+    3: data => ({ ...data, version: 4, snapshots: [], snapshotPortraits: [] }),
+
+    // Version 4 -> 5: one image table shared by the portrait gallery and snapshots;
+    // the single portrait becomes the first (and current) gallery entry
+    4: data => {
+        const { portrait, snapshotPortraits, ...rest } = data;
+        const images = Array.isArray(snapshotPortraits) ? snapshotPortraits.slice() : [];
+        const portraitHistory = [];
+        if (portrait) {
+            images.push(portrait);
+            portraitHistory.push({
+                image: images.length - 1,
+                kind: 'generated',
+                prompt: '',
+                instructions: '',
+                reference: '',
+                createdAt: data.exportedAt || new Date().toISOString()
+            });
+        }
+        return { ...rest, version: 5, images, portraitHistory, currentPortrait: portrait ? 0 : null };
+    }
+};
+
+const importCharacterInput = document.getElementById('importCharacterInput');
+
+// Build the export file from the current character
+async function createCharacterFile() {
+    const state = captureCharacterState();
+
+    const characterSheet = {};
+    CHARACTER_SHEET_FIELDS.forEach(field => {
+        characterSheet[field] = state.formData[field] || '';
+    });
+
+    const bio = {};
+    BIO_FIELDS.forEach(field => {
+        bio[field] = {
+            value: state.formData[field] || '',
+            currentVersion: state.currentVersionIndex[field] || 0,
+            locked: state.lockedFields.includes(field),
+            // Versions saved before branching existed simply follow on from the one before
+            history: state.fieldHistory[field].map((entry, index) => ({
+                value: entry.value,
+                timestamp: new Date(entry.timestamp).toISOString(),
+                type: entry.type,
+                parent: Number.isInteger(entry.parent) ? entry.parent : (index ? index - 1 : null)
+            }))
+        };
+    });
+
+    // The gallery and snapshots share portraits, so each image is written once and referred to by index
+    const images = [];
+    const imageIndexes = new Map();
+    const addImage = async blob => {
+        if (!imageIndexes.has(blob)) {
+            imageIndexes.set(blob, images.length);
+            images.push({
+                mimeType: blob.type || 'image/png',
+                data: await fileToBase64(blob)
+            });
+        }
+        return imageIndexes.get(blob);
+    };
+
+    const portraitHistory = [];
+    for (const entry of state.portraitHistory) {
+        portraitHistory.push({
+            image: await addImage(entry.blob),
+            kind: entry.kind,
+            prompt: entry.prompt,
+            instructions: entry.instructions,
+            reference: entry.reference,
+            createdAt: new Date(entry.createdAt).toISOString()
+        });
+    }
+
+    const snapshots = [];
+    for (const snapshot of state.snapshots) {
+        const portraitIndex = snapshot.portrait ? await addImage(snapshot.portrait) : null;
+
+        const snapshotSheet = {};
+        CHARACTER_SHEET_FIELDS.forEach(field => {
+            snapshotSheet[field] = snapshot.formData[field] || '';
+        });
+        const snapshotBio = {};
+        BIO_FIELDS.forEach(field => {
+            snapshotBio[field] = snapshot.formData[field] || '';
+        });
+
+        snapshots.push({
+            id: snapshot.id,
+            kind: snapshot.kind,
+            label: snapshot.label,
+            createdAt: new Date(snapshot.createdAt).toISOString(),
+            characterSheet: snapshotSheet,
+            bio: snapshotBio,
+            currentVersion: { ...snapshot.currentVersionIndex },
+            derivedOverrides: snapshot.derivedOverrides,
+            portrait: portraitIndex
+        });
+    }
+
+    return {
+        format: CHARACTER_FILE_FORMAT,
+        version: CHARACTER_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        characterSheet,
+        derivedOverrides: state.derivedOverrides,
+        bio,
+        images,
+        portraitHistory,
+        currentPortrait: state.currentPortraitIndex >= 0 ? state.currentPortraitIndex : null,
+        snapshots
+    };
+}
+
+// Bring any supported file version up to CHARACTER_FILE_VERSION
+function migrateCharacterFile(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('File does not contain a character.');
+    }
+
+    let version;
+    if (data.format === CHARACTER_FILE_FORMAT) {
+        version = data.version;
+    } else if (data.format === undefined && CHARACTER_SHEET_FIELDS.some(field => field in data)) {
+        version = 0;
+    } else {
+        throw new Error('This is not a Roshar character file.');
+    }
+
+    if (!Number.isInteger(version) || version < 0) {
+        throw new Error(`Unknown character file version: ${version}`);
+    }
+    if (version > CHARACTER_FILE_VERSION) {
+        throw new Error(`This file was made by a newer version of the app (format ${version}). Please reload and try again.`);
+    }
+
+    let migrated = data;
+    while (version < CHARACTER_FILE_VERSION) {
+        migrated = CHARACTER_FILE_MIGRATIONS[version](migrated);
+        version = migrated.version;
+    }
+    return migrated;
+}
+
+// Check a migrated file and return a list of problems (empty when valid)
+function validateCharacterFile(file) {
+    const problems = [];
+    const isText = value => value === undefined || value === null || typeof value === 'string' || typeof value === 'number';
+
+    if (!file.characterSheet || typeof file.characterSheet !== 'object') {
+        problems.push('Missing character sheet.');
+    } else {
+        CHARACTER_SHEET_FIELDS.forEach(field => {
+            if (!isText(file.characterSheet[field])) {
+                problems.push(`Character sheet field "${field}" must be text.`);
+            }
+        });
+    }
+
+    if (!Array.isArray(file.derivedOverrides) || file.derivedOverrides.some(field => !DERIVED_STAT_FIELDS.includes(field))) {
+        problems.push('Derived stat overrides must be a list of derived stat names.');
+    }
+
+    if (!file.bio || typeof file.bio !== 'object') {
+        problems.push('Missing bio.');
+    } else {
+        BIO_FIELDS.forEach(field => {
+            const entry = file.bio[field];
+            if (entry === undefined) return;
+
+            if (!entry || typeof entry !== 'object' || !isText(entry.value)) {
+                problems.push(`Bio field "${field}" is malformed.`);
+                return;
+            }
+
+            const history = entry.history || [];
+            if (!Array.isArray(history)) {
+                problems.push(`History for "${field}" must be a list.`);
+                return;
+            }
+
+            history.forEach((version, index) => {
+                if (!version || typeof version.value !== 'string') {
+                    problems.push(`${field} version ${index + 1} has no text.`);
+                } else if (!HISTORY_ENTRY_TYPES.includes(version.type)) {
+                    problems.push(`${field} version ${index + 1} has unknown type "${version.type}".`);
+                } else if (isNaN(new Date(version.timestamp).getTime())) {
+                    problems.push(`${field} version ${index + 1} has an invalid timestamp.`);
+                } else if (version.parent !== undefined && version.parent !== null
+                    && !(Number.isInteger(version.parent) && version.parent >= 0 && version.parent < index)) {
+                    problems.push(`${field} version ${index + 1} branches from a version that doesn't come before it.`);
+                }
+            });
+
+            if (entry.locked !== undefined && typeof entry.locked !== 'boolean') {
+                problems.push(`Lock flag for "${field}" must be true or false.`);
+            }
+
+            const current = entry.currentVersion || 0;
+            if (!Number.isInteger(current) || current < 0 || (history.length && current >= history.length)) {
+                problems.push(`Current version for "${field}" is out of range.`);
+            }
+        });
+    }
+
+    if (!Array.isArray(file.images)) {
+        problems.push('Images must be a list.');
+    } else {
+        file.images.forEach((image, index) => {
+            problems.push(...validatePortraitData(image || {}, `Image ${index + 1}`));
+        });
+    }
+    const imageCount = Array.isArray(file.images) ? file.images.length : 0;
+    const isImageIndex = value => Number.isInteger(value) && value >= 0 && value < imageCount;
+
+    if (!Array.isArray(file.portraitHistory)) {
+        problems.push('Portrait history must be a list.');
+    } else {
+        file.portraitHistory.forEach((entry, index) => {
+            const name = `Portrait ${index + 1}`;
+            if (!entry || !isImageIndex(entry.image)) {
+                problems.push(`${name} refers to an image that isn't in the file.`);
+            } else if (!PORTRAIT_KINDS[entry.kind]) {
+                problems.push(`${name} has unknown kind "${entry.kind}".`);
+            } else if (['prompt', 'instructions', 'reference'].some(key => typeof entry[key] !== 'string')) {
+                problems.push(`${name} has a prompt, instructions or reference that isn't text.`);
+            } else if (isNaN(new Date(entry.createdAt).getTime())) {
+                problems.push(`${name} has an invalid date.`);
+            }
+        });
+        const current = file.currentPortrait;
+        if (current !== null && !(Number.isInteger(current) && current >= 0 && current < file.portraitHistory.length)) {
+            problems.push('Current portrait is out of range.');
+        }
+    }
+
+    if (!Array.isArray(file.snapshots)) {
+        problems.push('Snapshots must be a list.');
+    } else {
+        file.snapshots.forEach((snapshot, index) => {
+            const name = `Snapshot ${index + 1}`;
+            if (!snapshot || typeof snapshot !== 'object') {
+                problems.push(`${name} is malformed.`);
+                return;
+            }
+            if (typeof snapshot.id !== 'string' || typeof snapshot.label !== 'string' || !SNAPSHOT_KINDS[snapshot.kind]) {
+                problems.push(`${name} needs an id, a label and a known kind.`);
+            }
+            if (isNaN(new Date(snapshot.createdAt).getTime())) {
+                problems.push(`${name} has an invalid date.`);
+            }
+            const { characterSheet: sheet, bio, currentVersion: versions } = snapshot;
+            if (!sheet || typeof sheet !== 'object' || !bio || typeof bio !== 'object') {
+                problems.push(`${name} is missing its character sheet or bio.`);
+            } else if (CHARACTER_SHEET_FIELDS.some(field => !isText(sheet[field])) || BIO_FIELDS.some(field => !isText(bio[field]))) {
+                problems.push(`${name} has fields that aren't text.`);
+            }
+            if (!versions || typeof versions !== 'object' || Object.values(versions).some(value => !Number.isInteger(value) || value < 0)) {
+                problems.push(`${name} has invalid version positions.`);
+            }
+            if (!Array.isArray(snapshot.derivedOverrides) || snapshot.derivedOverrides.some(field => !DERIVED_STAT_FIELDS.includes(field))) {
+                problems.push(`${name} has invalid derived stat overrides.`);
+            }
+            if (snapshot.portrait !== null && !isImageIndex(snapshot.portrait)) {
+                problems.push(`${name} refers to a portrait that isn't in the file.`);
+            }
+        });
+    }
+
+    return problems;
 }
 
-// Add modal expansion functionality for textareas
-function addModalExpansion(field, element) {
-    // Create expand button
-    const expandBtn = document.createElement('button');
-    expandBtn.type = 'button';
-    expandBtn.className = 'expand-btn';
-    expandBtn.innerHTML = '⤢';
-    expandBtn.title = 'Expand to full screen';
+// Problems with an embedded { mimeType, data } image, labelled for the message
+function validatePortraitData(portrait, label) {
+    const problems = [];
+    if (typeof portrait.mimeType !== 'string' || !portrait.mimeType.startsWith('image/')) {
+        problems.push(`${label} has an unsupported image type.`);
+    }
+    if (typeof portrait.data !== 'string' || !/^[A-Za-z0-9+/]+=*$/.test(portrait.data)) {
+        problems.push(`${label} image data is not valid base64.`);
+    }
+    return problems;
+}
 
-    // Insert expand button
-    element.parentNode.style.position = 'relative';
-    element.parentNode.appendChild(expandBtn);
+// Turn a validated file into the state shape applyCharacterState() expects
+function characterFileToState(file) {
+    // One Blob per stored image, shared by every gallery entry and snapshot that uses it
+    const images = file.images.map(image => base64ToBlob(image.data, image.mimeType));
+    const portraitHistory = file.portraitHistory.map(entry => ({
+        id: createCharacterId(),
+        blob: images[entry.image],
+        kind: entry.kind,
+        prompt: entry.prompt,
+        instructions: entry.instructions,
+        reference: entry.reference,
+        createdAt: new Date(entry.createdAt)
+    }));
+    const currentPortrait = file.currentPortrait === null ? null : portraitHistory[file.currentPortrait];
 
-    expandBtn.addEventListener('click', () => openTextModal(field, element));
+    const formData = {};
+    CHARACTER_SHEET_FIELDS.forEach(field => {
+        const value = file.characterSheet[field];
+        formData[field] = value === undefined || value === null ? '' : String(value);
+    });
+
+    const history = {};
+    const versionIndex = {};
+    const locked = [];
+    BIO_FIELDS.forEach(field => {
+        const entry = file.bio[field] || {};
+        if (entry.locked) locked.push(field);
+        formData[field] = entry.value === undefined || entry.value === null ? '' : String(entry.value);
+        history[field] = (entry.history || []).map(version => ({
+            value: version.value,
+            timestamp: new Date(version.timestamp),
+            type: version.type,
+            parent: version.parent
+        }));
+        versionIndex[field] = entry.currentVersion || 0;
+    });
+
+    return {
+        formData,
+        fieldHistory: history,
+        currentVersionIndex: versionIndex,
+        lockedFields: locked,
+        derivedOverrides: file.derivedOverrides.slice(),
+        portrait: currentPortrait ? currentPortrait.blob : null,
+        portraitHistory,
+        currentPortraitIndex: file.currentPortrait === null ? -1 : file.currentPortrait,
+        snapshots: file.snapshots.map(snapshot => {
+            const snapshotForm = {};
+            CHARACTER_SHEET_FIELDS.forEach(field => {
+                const value = snapshot.characterSheet[field];
+                snapshotForm[field] = value === undefined || value === null ? '' : String(value);
+            });
+            BIO_FIELDS.forEach(field => {
+                const value = snapshot.bio[field];
+                snapshotForm[field] = value === undefined || value === null ? '' : String(value);
+            });
+            return {
+                id: snapshot.id,
+                kind: snapshot.kind,
+                label: snapshot.label,
+                createdAt: new Date(snapshot.createdAt),
+                formData: snapshotForm,
+                currentVersionIndex: { ...snapshot.currentVersion },
+                derivedOverrides: snapshot.derivedOverrides.slice(),
+                portrait: snapshot.portrait === null ? null : images[snapshot.portrait]
+            };
+        })
+    };
 }
 
-// Open text editing modal
-function openTextModal(field, element) {
-    // Create simple modal - just a big textarea with shrink button
-    const modal = document.createElement('div');
-    modal.className = 'text-modal-overlay';
-    modal.innerHTML = `
-        <div class="text-modal-content">
-            <button class="text-modal-shrink">⤡</button>
-            <textarea class="text-modal-textarea">${element.value}</textarea>
-        </div>
-    `;
+async function exportCharacter() {
+    const file = await createCharacterFile();
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${file.characterSheet.characterName || 'Character'}_Character.json`);
+}
 
-    document.body.appendChild(modal);
-    document.body.style.overflow = 'hidden';
+async function importCharacter(fileHandle) {
+    if (generationInProgress) {
+        showToast({ type: 'warning', message: 'Please wait for the current generation to finish before importing a character.' });
+        return;
+    }
 
-    const textarea = modal.querySelector('.text-modal-textarea');
-    const shrinkBtn = modal.querySelector('.text-modal-shrink');
+    let data;
+    try {
+        data = JSON.parse(await fileHandle.text());
+    } catch (error) {
+        showBanner('rosterNotice', { type: 'error', title: 'Could not import character', message: 'That file is not valid JSON.' });
+        return;
+    }
 
-    // Focus and position cursor at end
-    setTimeout(() => {
-        textarea.focus();
-        textarea.setSelectionRange(textarea.value.length, textarea.value.length);
-    }, 100);
+    let file;
+    try {
+        file = migrateCharacterFile(data);
+    } catch (error) {
+        showBanner('rosterNotice', { type: 'error', title: 'Could not import character', message: error.message });
+        return;
+    }
 
-    // Real-time sync - no save/cancel needed
-    textarea.addEventListener('input', () => {
-        element.value = textarea.value;
-        onFieldEdit(field);
+    const problems = validateCharacterFile(file);
+    if (problems.length) {
+        console.error('Character file problems:', problems);
+        showBanner('rosterNotice', { type: 'error', title: 'Could not import character', items: problems });
+        return;
+    }
+
+    const name = file.characterSheet.characterName || 'this character';
+    if (!confirm(`Replace the current character with ${name}? Unsaved changes will be lost.`)) return;
+
+    applyCharacterState(characterFileToState(file));
+    showToast({ type: 'success', message: `Imported ${name}.` });
+
+    // Imports start unsaved so they never overwrite a roster entry by accident
+    currentCharacterId = null;
+    if (rosterList) {
+        renderRoster().catch(handleRosterError);
+    }
+}
+
+if (importCharacterInput) {
+    document.getElementById('exportCharacter').addEventListener('click', () => {
+        exportCharacter().catch(error => {
+            console.error('Error exporting character:', error);
+            showBanner('rosterNotice', { type: 'error', title: 'Error exporting character', message: error.message });
+        });
     });
 
-    // Simple shrink handler
-    const closeModal = () => {
-        document.body.removeChild(modal);
-        document.body.style.overflow = 'auto';
+    document.getElementById('importCharacter').addEventListener('click', () => importCharacterInput.click());
+
+    importCharacterInput.addEventListener('change', async () => {
+        const fileHandle = importCharacterInput.files[0];
+        importCharacterInput.value = '';
+        if (fileHandle) {
+            await importCharacter(fileHandle);
+        }
+    });
+}
+
+// Campaign profiles - era, level and power limits the bio prompts are assembled from.
+// Built-in profiles ship with the app; players' own profiles live in localStorage.
+const CAMPAIGN_STORAGE_KEY = 'roshar-campaign-profiles';
+const CAMPAIGN_SELECTION_KEY = 'roshar-campaign-profile';
+
+const CAMPAIGN_ERAS = {
+    'pre-everstorm': {
+        label: 'Pre-Everstorm',
+        context: 'The Everstorm has NOT happened yet - this is traditional Roshar before the major upheavals of the later books',
+        research: 'pre-everstorm'
+    },
+    'true-desolation': {
+        label: 'True Desolation',
+        context: 'The Everstorm has come - the singers have awakened, the Knights Radiant are re-forming and Roshar is at war',
+        research: 'post-everstorm'
+    }
+};
+
+const BUILT_IN_CAMPAIGN_PROFILES = [
+    {
+        id: 'stonewalkers',
+        name: 'Stonewalkers Adventure',
+        era: 'pre-everstorm',
+        startingLevel: 1,
+        stormlight: false,
+        spren: false,
+        tone: 'Brand new adventurers at the start of their journey, grounded in traditional Rosharan values and conflicts',
+        houseRules: ''
+    },
+    {
+        id: 'true-desolation',
+        name: 'True Desolation',
+        era: 'true-desolation',
+        startingLevel: 5,
+        stormlight: true,
+        spren: true,
+        tone: 'Seasoned heroes in a world at war, facing hard choices as the old order collapses',
+        houseRules: ''
+    }
+];
+
+const DEFAULT_CAMPAIGN_PROFILE_ID = 'stonewalkers';
+
+function loadCustomCampaignProfiles() {
+    try {
+        const profiles = JSON.parse(localStorage.getItem(CAMPAIGN_STORAGE_KEY) || '[]');
+        return Array.isArray(profiles) ? profiles : [];
+    } catch (error) {
+        console.warn('Could not read campaign profiles:', error);
+        return [];
+    }
+}
+
+function saveCustomCampaignProfiles(profiles) {
+    localStorage.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+function listCampaignProfiles() {
+    return [...BUILT_IN_CAMPAIGN_PROFILES, ...loadCustomCampaignProfiles()];
+}
+
+function isBuiltInCampaignProfile(id) {
+    return BUILT_IN_CAMPAIGN_PROFILES.some(profile => profile.id === id);
+}
+
+// The selected profile, falling back to the default if it was deleted
+function getSelectedCampaignProfile() {
+    let selectedId = DEFAULT_CAMPAIGN_PROFILE_ID;
+    try {
+        selectedId = localStorage.getItem(CAMPAIGN_SELECTION_KEY) || DEFAULT_CAMPAIGN_PROFILE_ID;
+    } catch (error) {
+        console.warn('Could not read selected campaign profile:', error);
+    }
+
+    const profiles = listCampaignProfiles();
+    return profiles.find(profile => profile.id === selectedId) ||
+        profiles.find(profile => profile.id === DEFAULT_CAMPAIGN_PROFILE_ID);
+}
+
+function selectCampaignProfile(id) {
+    localStorage.setItem(CAMPAIGN_SELECTION_KEY, id);
+    renderCampaignProfiles();
+}
+
+// Plain-language statements of what powers characters may have
+function describeCampaignPowers(profile) {
+    return [
+        profile.stormlight
+            ? 'Characters may know how to draw in and use stormlight'
+            : 'Characters have never used stormlight',
+        profile.spren
+            ? 'Characters may have formed a nahel bond with a spren, if their sheet supports it'
+            : 'Characters have never been approached by a spren for a nahel bond'
+    ];
+}
+
+// System instructions for bio generation, assembled from the campaign profile
+function createBioInstructions(profile) {
+    const era = CAMPAIGN_ERAS[profile.era];
+    const level = profile.startingLevel;
+    const experience = level > 1
+        ? `Characters are experienced adventurers starting at Level ${level}`
+        : 'Characters are brand new adventurers';
+
+    return `You are an expert Stormlight Archive character creation agent with access to comprehensive worldbuilding materials through both uploaded files and searchable knowledge bases.
+
+🎲 CAMPAIGN CONTEXT - CRITICAL:
+- Creating Level ${level} characters for the ${profile.name.toUpperCase()} campaign
+- Timeline: ${era.context}
+- ${experience}
+${describeCampaignPowers(profile).map(line => `- ${line}`).join('\n')}${profile.tone ? `
+- Tone: ${profile.tone}` : ''}${profile.houseRules ? `
+
+📜 HOUSE RULES (these override the source material):
+${profile.houseRules}` : ''}
+
+🔍 RESEARCH METHODOLOGY:
+1. ANALYZE the provided character stats and any existing bio information
+2. SEARCH the knowledge base for relevant cultural, geographical, and social information
+3. RESEARCH character archetypes, naming conventions, and cultural practices
+4. CROSS-REFERENCE findings with uploaded reference documents
+5. SYNTHESIZE all information into a cohesive, lore-accurate character
+
+🎯 RESEARCH PRIORITIES:
+- Cultural backgrounds and customs relevant to character ancestry/location
+- Social structures, hierarchies, and occupations appropriate for Level ${level} characters
+- Regional characteristics, climate, and geography
+- Historical events that might shape the character's background (${era.research})
+- Religious practices, superstitions, and beliefs
+- Language patterns, naming conventions, and cultural quirks
+- Economic systems, trade, and daily life details
+- Appropriate backgrounds for adventurers of this level
+- Moral and ethical frameworks that align with the character's alignment
+
+⚡ AGENTIC WORKFLOW:
+1. First, search for information about the character's ancestry, region, or any specified background elements
+2. Research cultural practices, social norms, and typical character archetypes for that background
+3. Look up relevant historical events, conflicts, or social issues that could inform the character's story (remembering this is ${era.label} Roshar)
+4. Search for examples of similar characters or cultural elements in the source material
+5. Synthesize all research into authentic, detailed character elements appropriate for Level ${level} adventurers
+
+🎨 CHARACTER CREATION PRINCIPLES:
+- Every detail should feel authentic to ${era.label} Roshar's culture and magic system
+- Characters should be appropriate for Level ${level} adventurers
+- Respect the campaign's limits on stormlight and spren bonds above
+- Include specific cultural details that demonstrate deep knowledge of the setting
+- Create meaningful secrets and flaws that could drive interesting storylines
+- Ensure character goals and motivations fit the conflicts of the era
+
+IMPORTANT: Your answer is a JSON object matching the character_bio schema - one string per requested field. Use your research to create rich, detailed, lore-accurate content for ${profile.name} characters.`;
+}
+
+// Campaign picker and editor
+const campaignProfileSelect = document.getElementById('campaignProfile');
+const campaignEditor = document.getElementById('campaignEditor');
+
+// Id of the profile open in the editor (null while creating a new one)
+let editingCampaignId = null;
+
+function renderCampaignProfiles() {
+    const selected = getSelectedCampaignProfile();
+
+    campaignProfileSelect.innerHTML = '';
+    listCampaignProfiles().forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = isBuiltInCampaignProfile(profile.id) ? profile.name : `${profile.name} (custom)`;
+        campaignProfileSelect.appendChild(option);
+    });
+    campaignProfileSelect.value = selected.id;
+
+    const powers = [selected.stormlight && 'stormlight', selected.spren && 'spren bonds'].filter(Boolean);
+    document.getElementById('campaignSummary').textContent =
+        `${CAMPAIGN_ERAS[selected.era].label} · starts at level ${selected.startingLevel} · ${powers.length ? powers.join(' & ') : 'no powers'}`;
+    document.getElementById('campaignDelete').disabled = isBuiltInCampaignProfile(selected.id);
+
+    const level = document.getElementById('level');
+    level.placeholder = selected.startingLevel;
+}
+
+// Built-in profiles can't change, so editing one starts a custom copy
+function openCampaignEditor(profile, isNew) {
+    editingCampaignId = isNew || isBuiltInCampaignProfile(profile.id) ? null : profile.id;
+
+    document.getElementById('campaignName').value = isNew ? '' : editingCampaignId ? profile.name : `${profile.name} (copy)`;
+    document.getElementById('campaignEra').value = profile.era;
+    document.getElementById('campaignStartingLevel').value = profile.startingLevel;
+    document.getElementById('campaignStormlight').checked = profile.stormlight;
+    document.getElementById('campaignSpren').checked = profile.spren;
+    document.getElementById('campaignTone').value = profile.tone;
+    document.getElementById('campaignHouseRules').value = profile.houseRules;
+
+    campaignEditor.hidden = false;
+    document.getElementById('campaignName').focus();
+}
+
+function saveCampaignEditor() {
+    const name = document.getElementById('campaignName').value.trim();
+    const startingLevel = parseScore(document.getElementById('campaignStartingLevel').value);
+    if (!name) {
+        showBanner('campaignNotice', { type: 'error', message: 'Please give the campaign a name.' });
+        return;
+    }
+    if (startingLevel === null || startingLevel < 1 || startingLevel > MAX_LEVEL) {
+        showBanner('campaignNotice', { type: 'error', message: `Starting level must be a whole number from 1 to ${MAX_LEVEL}.` });
+        return;
+    }
+
+    const profile = {
+        id: editingCampaignId || createCharacterId(),
+        name,
+        era: document.getElementById('campaignEra').value,
+        startingLevel,
+        stormlight: document.getElementById('campaignStormlight').checked,
+        spren: document.getElementById('campaignSpren').checked,
+        tone: document.getElementById('campaignTone').value.trim(),
+        houseRules: document.getElementById('campaignHouseRules').value.trim()
     };
 
-    shrinkBtn.addEventListener('click', closeModal);
+    const profiles = loadCustomCampaignProfiles().filter(existing => existing.id !== profile.id);
+    try {
+        saveCustomCampaignProfiles([...profiles, profile]);
+    } catch (error) {
+        console.error('Error saving campaign profile:', error);
+        showBanner('campaignNotice', { type: 'error', title: 'Could not save campaign profile', message: error.message });
+        return;
+    }
 
-    // Close on Escape
-    const escapeHandler = (e) => {
-        if (e.key === 'Escape') {
-            closeModal();
-            document.removeEventListener('keydown', escapeHandler);
-        }
+    clearBanner('campaignNotice');
+    campaignEditor.hidden = true;
+    selectCampaignProfile(profile.id);
+    showToast({ type: 'success', message: `Saved campaign profile ${name}.` });
+}
+
+function deleteCampaignProfile() {
+    const profile = getSelectedCampaignProfile();
+    if (isBuiltInCampaignProfile(profile.id)) return;
+    if (!confirm(`Delete the campaign profile "${profile.name}"?`)) return;
+
+    saveCustomCampaignProfiles(loadCustomCampaignProfiles().filter(existing => existing.id !== profile.id));
+    campaignEditor.hidden = true;
+    selectCampaignProfile(DEFAULT_CAMPAIGN_PROFILE_ID);
+}
+
+if (campaignProfileSelect) {
+    const eraSelect = document.getElementById('campaignEra');
+    Object.keys(CAMPAIGN_ERAS).forEach(era => {
+        const option = document.createElement('option');
+        option.value = era;
+        option.textContent = CAMPAIGN_ERAS[era].label;
+        eraSelect.appendChild(option);
+    });
+
+    campaignProfileSelect.addEventListener('change', () => {
+        campaignEditor.hidden = true;
+        selectCampaignProfile(campaignProfileSelect.value);
+    });
+    document.getElementById('campaignEdit').addEventListener('click', () => openCampaignEditor(getSelectedCampaignProfile(), false));
+    document.getElementById('campaignNew').addEventListener('click', () => openCampaignEditor(getSelectedCampaignProfile(), true));
+    document.getElementById('campaignDelete').addEventListener('click', deleteCampaignProfile);
+    document.getElementById('campaignSave').addEventListener('click', saveCampaignEditor);
+    document.getElementById('campaignCancel').addEventListener('click', () => {
+        clearBanner('campaignNotice');
+        campaignEditor.hidden = true;
+    });
+
+    renderCampaignProfiles();
+}
+
+// AI settings panel - provider, models, reasoning effort and server address
+const aiProviderSelect = document.getElementById('aiProvider');
+
+function renderAISettings() {
+    const settings = getAISettings();
+    const provider = AI_PROVIDERS[settings.provider];
+
+    // Mock mode comes from the URL or config.js, so there's nothing to edit here
+    const mockBadge = document.getElementById('mockBadge');
+    mockBadge.hidden = !settings.scenario;
+    document.querySelectorAll('#aiSettings input, #aiSettings select').forEach(control => {
+        control.disabled = !!settings.scenario;
+    });
+    if (settings.scenario) {
+        mockBadge.textContent = `Mock AI: ${settings.scenario}`;
+        mockBadge.title = MOCK_SCENARIOS[settings.scenario];
+        document.getElementById('aiSettingsSummary').textContent = `${provider.label} · ${settings.scenario} - ${MOCK_SCENARIOS[settings.scenario]}`;
+        return;
+    }
+
+    aiProviderSelect.value = settings.provider;
+    document.getElementById('aiBaseUrl').value = settings.baseUrl || '';
+    document.getElementById('aiApiKey').value = settings.apiKey || '';
+    document.getElementById('aiBioModel').value = settings.bioModel;
+    document.getElementById('aiReasoningEffort').value = settings.reasoningEffort;
+    document.getElementById('aiImageModel').value = settings.imageModel;
+
+    // Suggest the proxy's models for OpenAI; local servers name their own
+    const modelList = settings.provider === 'openai-responses' ? 'openaiModels' : '';
+    document.getElementById('aiBioModel').setAttribute('list', modelList);
+    document.getElementById('aiImageModel').setAttribute('list', modelList);
+    document.getElementById('aiServerSettings').hidden = !provider.needsBaseUrl;
+
+    const effort = settings.reasoningEffort ? `, ${settings.reasoningEffort} effort` : '';
+    document.getElementById('aiSettingsSummary').textContent = `${provider.label} · ${settings.bioModel}${effort}`;
+}
+
+// Store the form's values under the active provider
+function saveAISettingsForm() {
+    const stored = loadAISettings();
+    const provider = aiProviderSelect.value;
+    const values = {
+        bioModel: document.getElementById('aiBioModel').value.trim(),
+        reasoningEffort: document.getElementById('aiReasoningEffort').value,
+        imageModel: document.getElementById('aiImageModel').value.trim()
     };
-    document.addEventListener('keydown', escapeHandler);
-}
\ No newline at end of file
+    if (AI_PROVIDERS[provider].needsBaseUrl) {
+        values.baseUrl = document.getElementById('aiBaseUrl').value.trim();
+        values.apiKey = document.getElementById('aiApiKey').value.trim();
+    }
+
+    if (!values.bioModel) {
+        showBanner('aiSettingsNotice', { type: 'error', message: 'Please enter a model for bio generation.' });
+        renderAISettings();
+        return;
+    }
+    if (AI_PROVIDERS[provider].viaProxy && ![values.bioModel, values.imageModel].every(model => OPENAI_MODELS.includes(model))) {
+        showBanner('aiSettingsNotice', { type: 'error', message: `The OpenAI proxy only accepts these models: ${OPENAI_MODELS.join(', ')}.` });
+        renderAISettings();
+        return;
+    }
+    if (AI_PROVIDERS[provider].needsBaseUrl && !/^https?:\/\//.test(values.baseUrl)) {
+        showBanner('aiSettingsNotice', { type: 'error', message: 'The server base URL must start with http:// or https://' });
+        renderAISettings();
+        return;
+    }
+
+    stored.providers[provider] = { ...stored.providers[provider], ...values };
+    try {
+        saveAISettings(stored);
+        clearBanner('aiSettingsNotice');
+    } catch (error) {
+        console.error('Error saving AI settings:', error);
+        showBanner('aiSettingsNotice', { type: 'error', title: 'Could not save AI settings', message: error.message });
+    }
+    renderAISettings();
+}
+
+if (aiProviderSelect) {
+    Object.keys(AI_PROVIDERS).filter(id => AI_PROVIDERS[id].selectable !== false).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = AI_PROVIDERS[id].label;
+        aiProviderSelect.appendChild(option);
+    });
+
+    const effortSelect = document.getElementById('aiReasoningEffort');
+    REASONING_EFFORTS.forEach(effort => {
+        const option = document.createElement('option');
+        option.value = effort;
+        option.textContent = effort ? effort.charAt(0).toUpperCase() + effort.slice(1) : 'Model default';
+        effortSelect.appendChild(option);
+    });
+
+    const modelList = document.getElementById('openaiModels');
+    OPENAI_MODELS.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model;
+        modelList.appendChild(option);
+    });
+
+    // Switching provider shows that provider's saved settings rather than carrying these over
+    aiProviderSelect.addEventListener('change', () => {
+        const stored = loadAISettings();
+        stored.provider = aiProviderSelect.value;
+        saveAISettings(stored);
+        renderAISettings();
+    });
+
+    ['aiBaseUrl', 'aiApiKey', 'aiBioModel', 'aiReasoningEffort', 'aiImageModel'].forEach(id => {
+        document.getElementById(id).addEventListener('change', saveAISettingsForm);
+    });
+
+    renderAISettings();
+}
+
+// Portrait options panel - style, framing and aspect ratio for new portraits, with a
+// preview of the prompt the current sheet would produce
+const portraitOptionsPanel = document.getElementById('portraitOptions');
+const portraitPromptDetails = document.getElementById('portraitPromptDetails');
+const PORTRAIT_OPTION_CHOICES = {
+    portraitStyle: ['style', PORTRAIT_STYLES],
+    portraitFraming: ['framing', PORTRAIT_FRAMINGS],
+    portraitAspect: ['aspect', PORTRAIT_ASPECTS]
+};
+
+function renderPortraitOptions() {
+    const options = getPortraitOptions();
+    Object.entries(PORTRAIT_OPTION_CHOICES).forEach(([id, [key]]) => {
+        document.getElementById(id).value = options[key];
+    });
+    document.getElementById('portraitOptionsSummary').textContent = describePortraitOptions(options);
+
+    // Only build the preview when someone can see it
+    if (portraitPromptDetails.open) {
+        document.getElementById('portraitPromptPreview').textContent = createImagePrompt(collectFormData(), options);
+    }
+}
+
+function savePortraitOptionsForm() {
+    const options = {};
+    Object.entries(PORTRAIT_OPTION_CHOICES).forEach(([id, [key]]) => {
+        options[key] = document.getElementById(id).value;
+    });
+    try {
+        localStorage.setItem(PORTRAIT_OPTIONS_KEY, JSON.stringify(options));
+    } catch (error) {
+        console.error('Error saving portrait options:', error);
+        showToast({ type: 'error', title: 'Could not save portrait options', message: error.message });
+    }
+    renderPortraitOptions();
+}
+
+if (portraitOptionsPanel) {
+    Object.entries(PORTRAIT_OPTION_CHOICES).forEach(([id, [, choices]]) => {
+        const select = document.getElementById(id);
+        Object.keys(choices).forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = choices[value].label;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', savePortraitOptionsForm);
+    });
+    portraitPromptDetails.addEventListener('toggle', renderPortraitOptions);
+
+    renderPortraitOptions();
+}
+
+// PDF options panel - template, fonts and color theme for Download Bio. Picking a
+// template resets the fonts and theme to the ones it was designed with.
+const pdfOptionsPanel = document.getElementById('pdfOptions');
+const PDF_OPTION_CHOICES = {
+    pdfTemplate: ['template', PDF_TEMPLATES],
+    pdfFonts: ['fonts', PDF_FONT_SETS],
+    pdfTheme: ['theme', PDF_COLOR_THEMES]
+};
+
+function renderPdfOptions() {
+    const options = getPdfOptions();
+    Object.entries(PDF_OPTION_CHOICES).forEach(([id, [key]]) => {
+        document.getElementById(id).value = options[key];
+    });
+    document.getElementById('pdfOptionsSummary').textContent = describePdfOptions(options);
+}
+
+function savePdfOptions(options) {
+    try {
+        localStorage.setItem(PDF_OPTIONS_KEY, JSON.stringify(options));
+    } catch (error) {
+        console.error('Error saving PDF options:', error);
+        showToast({ type: 'error', title: 'Could not save PDF options', message: error.message });
+    }
+    renderPdfOptions();
+}
+
+if (pdfOptionsPanel) {
+    Object.entries(PDF_OPTION_CHOICES).forEach(([id, [, choices]]) => {
+        const select = document.getElementById(id);
+        Object.keys(choices).forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = choices[value].label;
+            select.appendChild(option);
+        });
+    });
+
+    document.getElementById('pdfTemplate').addEventListener('change', (e) => {
+        const template = PDF_TEMPLATES[e.target.value];
+        savePdfOptions({ template: e.target.value, fonts: template.fonts, theme: template.theme });
+    });
+    ['pdfFonts', 'pdfTheme'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            savePdfOptions({
+                template: document.getElementById('pdfTemplate').value,
+                fonts: document.getElementById('pdfFonts').value,
+                theme: document.getElementById('pdfTheme').value
+            });
+        });
+    });
+
+    renderPdfOptions();
+}
+
+// Collect any bio generation that was still running when the page was last closed
+resumePendingBioGeneration().catch(error => {
+    console.error('Could not resume the pending bio generation:', error);
+    clearPendingBioJob();
+});